@@ -0,0 +1,170 @@
+const { EventEmitter } = require('events');
+const { runJob } = require('./scraper');
+const { loadJobFile, normalizeJob } = require('./jobs');
+const { createRunState, shutdown } = require('./runState');
+
+/**
+ * Library API
+ * Runs the scraper from other Node code. Everything comes from the options object;
+ * nothing is read from .env or the command line.
+ *
+ *   const { scrapeSearchFunder } = require('search_funder_scraper');
+ *
+ *   const run = scrapeSearchFunder({
+ *       filters: { roles: ['searcher'], city: 'Boston, MA, USA', lat: 42.36, lng: -71.06 },
+ *       credentials: { email, password },
+ *       sinks: ['jsonl']
+ *   });
+ *   run.on('checkpoint', ({ query, processedCount }) => console.log(query, processedCount));
+ *   for await (const profile of run) {
+ *       await pipeline.push(profile);
+ *   }
+ *   const summary = await run.done;
+ *
+ * The run is an EventEmitter with these events:
+ *   profile     (record, { query })                    one saved profile
+ *   batch       ({ query, records, total })            profiles saved together
+ *   progress    ({ query, stage, processed, ... })     stage: started, scraping, enriching, finished
+ *   checkpoint  ({ query, file, processedCount, lastProfileIndex, cursor })
+ *   error       (error, { query })                     a failed query (query: null for the run)
+ *   end         (summary)                              the run summary, as written to run_summary.json
+ * It is also an async iterator over the saved profiles; start iterating right away, profiles
+ * saved before the loop starts are not kept for it. `run.done` is a promise of the summary
+ * (the run itself is not a promise, so awaiting it gives back the emitter), and run.stop()
+ * ends the run cleanly, keeping the checkpoint.
+ */
+
+/**
+ * Starts a scrape. Options:
+ *   url | filters        the directory query (see directoryUrl.js for the filters), or
+ *   job                  a job file path or job object with several queries
+ *   name                 query name, for the output files (default "searchfunder")
+ *   credentials          { email, password }
+ *   session              session store settings: { file, secret, userDataDir, interactive }
+ *   headless             default true
+ *   concurrency          queries scraped at once, or pages enriched on at once (default 1)
+ *   handleSignals        save the checkpoint on SIGINT/SIGTERM as the CLI does (default false)
+ *   outputDir, checkpointDir, checkpoint, output, sinks, maxProfiles, mode, selectors,
+ *   enrich, sync, delays, rateLimit, health, profileUrlTemplate, recordResponses
+ *                        as in a job file
+ * A directory URL can be given as the first argument, with the options second.
+ */
+function scrapeSearchFunder(target, options = {}) {
+    options = typeof target === 'string' ? { ...options, url: target } : { ...target, ...options };
+
+    const run = new EventEmitter();
+    const state = createRunState({ events: run });
+
+    run.done = new Promise(resolve => setImmediate(resolve))
+        .then(() => runJob(buildJob(options), {
+            headless: options.headless !== undefined ? options.headless : true,
+            session: { ...options.session, ...options.credentials },
+            state,
+            handleSignals: Boolean(options.handleSignals)
+        }))
+        .then(summary => {
+            run.emit('end', summary);
+            return summary;
+        }, error => {
+            state.emit('error', error, { query: null });
+            throw error;
+        });
+
+    // A caller that only listens to events still sees the failure as an 'error' event
+    run.done.catch(() => {});
+
+    run.stop = (reason = 'stop') => shutdown(state, reason);
+    run[Symbol.asyncIterator] = () => profileIterator(run);
+    return run;
+}
+
+/**
+ * The job for the options: a job file or object, or a single query
+ */
+function buildJob(options) {
+    if (options.job) {
+        const overrides = {};
+        ['outputDir', 'checkpointDir', 'selectors', 'concurrency'].forEach(key => {
+            if (options[key] !== undefined) overrides[key] = options[key];
+        });
+        return typeof options.job === 'string'
+            ? loadJobFile(options.job, overrides)
+            : normalizeJob({ ...options.job, ...overrides }, 'job option');
+    }
+
+    const query = { name: options.name || 'searchfunder' };
+    ['url', 'filters', 'checkpoint', 'output', 'sinks', 'maxProfiles', 'mode', 'enrich', 'sync', 'delays', 'rateLimit', 'health', 'profileUrlTemplate', 'recordResponses']
+        .forEach(key => {
+            if (options[key] !== undefined) query[key] = options[key];
+        });
+
+    return normalizeJob({
+        concurrency: options.concurrency,
+        outputDir: options.outputDir || '.',
+        checkpointDir: options.checkpointDir,
+        selectors: options.selectors,
+        queries: [query]
+    }, 'options');
+}
+
+/**
+ * Async iterator over the profiles a run saves. Profiles are queued until they are read;
+ * the iteration ends with the run, and throws when the run itself fails.
+ */
+function profileIterator(run) {
+    const queue = [];
+    let waiting = null;
+    let finished = false;
+    let failure = null;
+
+    const onProfile = (record) => {
+        if (waiting) {
+            waiting.resolve({ value: record, done: false });
+            waiting = null;
+        } else {
+            queue.push(record);
+        }
+    };
+    const settle = () => {
+        run.off('profile', onProfile);
+        if (!waiting) return;
+        if (failure) waiting.reject(failure);
+        else waiting.resolve({ value: undefined, done: true });
+        waiting = null;
+    };
+
+    run.on('profile', onProfile);
+    run.done.then(() => {
+        finished = true;
+        settle();
+    }, (error) => {
+        finished = true;
+        failure = error;
+        settle();
+    });
+
+    return {
+        next() {
+            if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+            if (failure) return Promise.reject(failure);
+            if (finished) return Promise.resolve({ value: undefined, done: true });
+            return new Promise((resolve, reject) => { waiting = { resolve, reject }; });
+        },
+
+        // Leaving the loop early stops listening; the run itself carries on (see run.stop())
+        return() {
+            run.off('profile', onProfile);
+            queue.length = 0;
+            finished = true;
+            return Promise.resolve({ value: undefined, done: true });
+        },
+
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+}
+
+module.exports = {
+    scrapeSearchFunder
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Failure artifacts
+ * When a run fails on a page (the login, the directory results never appearing, the cards
+ * failing to extract) a screenshot, the page HTML and the page's recent console output are
+ * saved to the run's artifacts directory, <outputDir>/artifacts/<runId>/, so the failure
+ * can be looked at after the browser is gone. Files are named after the failure:
+ * 01-login.png, 01-login.html, 01-login.log.
+ */
+
+// Console messages kept per page for the .log file
+const CONSOLE_BUFFER_SIZE = 200;
+
+/**
+ * Creates the artifact store for a run, writing to `dir`.
+ * watch(page) starts keeping the page's console output; capture(page, label, error)
+ * saves the artifacts and returns their filenames ({ screenshot, html, console }).
+ */
+function createArtifactStore(dir) {
+    const buffers = new WeakMap();
+    let captured = 0;
+
+    return {
+        dir,
+
+        watch(page) {
+            const lines = [];
+            const keep = (line) => {
+                lines.push(`${new Date().toISOString()} ${line}`);
+                if (lines.length > CONSOLE_BUFFER_SIZE) lines.shift();
+            };
+            buffers.set(page, lines);
+
+            page.on('console', message => keep(`[${message.type()}] ${message.text()}`));
+            page.on('pageerror', error => keep(`[pageerror] ${error.message}`));
+            page.on('requestfailed', request => keep(`[requestfailed] ${request.url()} ${(request.failure() || {}).errorText || ''}`.trim()));
+        },
+
+        /**
+         * Saves what the page shows now. Every part is best effort: a page that has crashed
+         * or closed still gets the console output and the error.
+         */
+        async capture(page, label, error = null) {
+            fs.mkdirSync(dir, { recursive: true });
+            captured++;
+            const base = path.join(dir, `${String(captured).padStart(2, '0')}-${label.replace(/[^\w.-]+/g, '_')}`);
+            const files = {};
+
+            try {
+                await page.screenshot({ path: `${base}.png`, fullPage: true });
+                files.screenshot = `${base}.png`;
+            } catch (screenshotError) {
+                console.warn(`Could not save a screenshot: ${screenshotError.message}`);
+            }
+
+            try {
+                fs.writeFileSync(`${base}.html`, await page.content());
+                files.html = `${base}.html`;
+            } catch (contentError) {
+                console.warn(`Could not save the page HTML: ${contentError.message}`);
+            }
+
+            let url = null;
+            try {
+                url = page.url();
+            } catch (urlError) {
+                // A closed page has no URL
+            }
+            const header = [
+                `Failure: ${label}`,
+                `Time: ${new Date().toISOString()}`,
+                `URL: ${url || 'unknown'}`,
+                error ? `Error: ${error.stack || error.message}` : null,
+                '',
+                'Console output:'
+            ].filter(line => line !== null);
+            fs.writeFileSync(`${base}.log`, [...header, ...(buffers.get(page) || [])].join('\n') + '\n');
+            files.console = `${base}.log`;
+
+            console.log(`Failure artifacts saved to ${base}.*`);
+            return files;
+        }
+    };
+}
+
+module.exports = {
+    createArtifactStore
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { ScraperError } = require('./errors');
+
+/**
+ * Checkpoint store
+ * A checkpoint is a small JSON file with the resume position and output files of a query,
+ * plus an append-only log holding the key of every profile already processed.
+ * The log is never truncated or rewritten, so it stays correct for directories of any size.
+ * Checkpoint files are replaced atomically (temp file, then rename) and the previous
+ * generation is kept as <file>.bak, so a run killed mid-write can still be resumed.
+ */
+
+/**
+ * Path of the previous generation of a checkpoint file
+ */
+function backupPath(checkpointFile) {
+    return `${checkpointFile}.bak`;
+}
+
+/**
+ * Writes a JSON checkpoint atomically: the data goes to a temp file that is flushed and
+ * renamed over the checkpoint, after the current checkpoint has been copied to the backup
+ */
+function writeCheckpointFile(checkpointFile, data) {
+    fs.mkdirSync(path.dirname(checkpointFile), { recursive: true });
+
+    const tempFile = `${checkpointFile}.tmp`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (fs.existsSync(checkpointFile)) fs.copyFileSync(checkpointFile, backupPath(checkpointFile));
+    fs.renameSync(tempFile, checkpointFile);
+}
+
+/**
+ * Reads a JSON checkpoint, falling back to its backup when the file is damaged or missing.
+ * Returns null when there is neither; throws when both are unreadable.
+ */
+function readCheckpointFile(checkpointFile) {
+    const candidates = [checkpointFile, backupPath(checkpointFile)].filter(file => fs.existsSync(file));
+    if (candidates.length === 0) return null;
+
+    const problems = [];
+    for (const file of candidates) {
+        try {
+            const checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (file !== checkpointFile) console.warn(`Checkpoint ${checkpointFile} is damaged or missing; using the backup ${file}`);
+            return checkpoint;
+        } catch (error) {
+            problems.push(`${file}: ${error.message}`);
+        }
+    }
+    throw new ScraperError(`Unreadable checkpoint (${problems.join('; ')}). Fix or delete it with reset-checkpoint to start over.`);
+}
+
+/**
+ * Path of the processed-profile log that belongs to a checkpoint file
+ */
+function processedLogPath(checkpointFile) {
+    return checkpointFile.replace(/\.json$/, '') + '.processed.log';
+}
+
+/**
+ * Opens (or creates) an append-only log of processed profile keys.
+ * All keys are loaded into memory once; new keys are appended to disk as they are added.
+ */
+function openProcessedLog(logFile) {
+    const keys = new Set();
+
+    if (fs.existsSync(logFile)) {
+        const contents = fs.readFileSync(logFile, 'utf8');
+        contents.split('\n').filter(Boolean).forEach(key => keys.add(key));
+
+        // A crash mid-append can leave a partial last line; start new keys on a fresh line
+        if (contents.length > 0 && !contents.endsWith('\n')) {
+            fs.appendFileSync(logFile, '\n');
+        }
+    }
+
+    return {
+        logFile,
+
+        has(key) {
+            return keys.has(key);
+        },
+
+        /**
+         * Records keys as processed, appending the ones not seen before to the log
+         */
+        add(newKeys) {
+            const fresh = [...new Set(newKeys)]
+                .map(key => String(key).replace(/[\r\n]+/g, ' '))
+                .filter(key => key && !keys.has(key));
+            if (fresh.length === 0) return;
+
+            fs.mkdirSync(path.dirname(logFile), { recursive: true });
+            fs.appendFileSync(logFile, fresh.join('\n') + '\n');
+            fresh.forEach(key => keys.add(key));
+        },
+
+        get size() {
+            return keys.size;
+        },
+
+        clear() {
+            keys.clear();
+            if (fs.existsSync(logFile)) fs.unlinkSync(logFile);
+        }
+    };
+}
+
+/**
+ * Load checkpoint data from file, along with its processed-profile log.
+ * A damaged checkpoint is recovered from its backup; when both are damaged the run
+ * stops instead of silently starting over.
+ */
+function loadCheckpoint(checkpointFile) {
+    let checkpoint = readCheckpointFile(checkpointFile);
+
+    if (!checkpoint) {
+        checkpoint = { lastProfileIndex: -1, outputs: null };
+
+        // A log without its checkpoint is left over from an earlier run and must not skip profiles
+        if (fs.existsSync(processedLogPath(checkpointFile))) fs.unlinkSync(processedLogPath(checkpointFile));
+    }
+
+    const processed = openProcessedLog(processedLogPath(checkpointFile));
+
+    // Older checkpoints only had a CSV file
+    if (checkpoint.csvFilename && !checkpoint.outputs) {
+        checkpoint.outputs = { csv: checkpoint.csvFilename };
+    }
+    delete checkpoint.csvFilename;
+
+    // Older checkpoints kept (at most 1000) card-text keys inline; move them into the log as
+    // the keys selectors.cardKey gives, which the scraper checks besides the profile ID
+    if (Array.isArray(checkpoint.processedProfileIds)) {
+        processed.add(checkpoint.processedProfileIds.map(id => `card:${id}`));
+        delete checkpoint.processedProfileIds;
+    }
+
+    return { ...checkpoint, processed };
+}
+
+/**
+ * Reads a checkpoint file without opening its log, for reporting. Returns null when there is none.
+ */
+function readCheckpoint(checkpointFile) {
+    try {
+        return readCheckpointFile(checkpointFile);
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Update checkpoint file with current progress
+ * The query's URL and filters are stored so the checkpoint records which filters produced the dataset.
+ * Processed profile keys live in the append-only log, only their count is written here.
+ * `position` holds where to pick up again: the key of the last saved profile and,
+ * when the directory endpoint is known, a page cursor.
+ */
+function updateCheckpoint(query, lastProfileIndex, outputs, processed, position = {}) {
+    const checkpointFile = query.checkpoint;
+    try {
+        const checkpoint = {
+            query: { name: query.name, url: query.url, filters: query.filters },
+            lastProfileIndex,
+            lastProfileKey: position.lastProfileKey || null,
+            cursor: position.cursor || null,
+            outputs,
+            processedLog: processed.logFile,
+            processedCount: processed.size
+        };
+        writeCheckpointFile(checkpointFile, checkpoint);
+        console.log(`Checkpoint updated: Last profile index ${lastProfileIndex}, ${processed.size} processed profiles`);
+    } catch (error) {
+        console.error('Error updating checkpoint:', error);
+    }
+}
+
+/**
+ * Whether a checkpoint (or its backup) is on disk
+ */
+function checkpointExists(checkpointFile) {
+    return fs.existsSync(checkpointFile) || fs.existsSync(backupPath(checkpointFile));
+}
+
+/**
+ * Removes a checkpoint file, its backup and its processed-profile log.
+ * Returns whether there was anything to remove.
+ */
+function clearCheckpoint(checkpointFile) {
+    const files = [checkpointFile, backupPath(checkpointFile), `${checkpointFile}.tmp`, processedLogPath(checkpointFile)]
+        .filter(file => fs.existsSync(file));
+    files.forEach(file => fs.unlinkSync(file));
+    return files.length > 0;
+}
+
+module.exports = {
+    processedLogPath,
+    openProcessedLog,
+    writeCheckpointFile,
+    readCheckpointFile,
+    loadCheckpoint,
+    readCheckpoint,
+    checkpointExists,
+    updateCheckpoint,
+    clearCheckpoint
+};
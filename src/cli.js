@@ -0,0 +1,638 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { SCRAPE_MODES, loadJobFile, normalizeJob, resolveWebhook } = require('./jobs');
+const { buildDirectoryUrl, parseDirectoryUrl } = require('./directoryUrl');
+const { CHECKPOINT_FILE, runJob, interactiveLogin } = require('./scraper');
+const { readCheckpoint, checkpointExists, clearCheckpoint } = require('./checkpointStore');
+const { enrichmentCheckpointPath } = require('./enrichment');
+const { PROFILE_FIELDS, ENRICHMENT_FIELDS } = require('./schema');
+const { createSink, sinkFilename, readRecords, validateSinkTypes } = require('./sinks');
+const { normalizeRecord } = require('./normalize');
+const { loadFieldMap, crmFilename, exportCrm } = require('./crm');
+const { createWebhookSink } = require('./webhook');
+const { REPORT_FORMATS, DEFAULT_TOP, findQueryDatasets, buildReport, renderReport } = require('./report');
+const { findMetro } = require('./metros');
+const { ON_BLOCK } = require('./governor');
+const { resolveSessionOptions, clearSession } = require('./session');
+const { LOG_LEVELS, LOG_FORMATS, installLogger } = require('./logger');
+const { EXIT_CODES, UsageError } = require('./errors');
+
+/**
+ * Command line interface
+ * Subcommands for scraping, resuming, inspecting and resetting checkpoints, and
+ * exporting datasets. Every command returns a process exit code (see EXIT_CODES).
+ */
+
+const DEFAULT_DIRECTORY_URL = 'https://searchfunder.com/directory?roles_arr=searcher&city=New%20York%20City,%20NY,%20USA&lat=40.7127753&lng=-74.0059728&regions_arr=United%20States';
+
+const COMMANDS = ['scrape', 'resume', 'status', 'reset-checkpoint', 'export', 'deliver', 'report', 'login'];
+
+const USAGE = `Usage: node index.js [command] [job-file] [options]
+
+Commands:
+  scrape              Scrape the job file's queries, or a single directory (default)
+  resume              Continue only the queries that have a checkpoint
+  status              Show checkpoint progress for each query
+  reset-checkpoint    Delete the checkpoints of the job's queries
+  export <file>       Convert a dataset file to other formats (--sink, --crm, --out, --normalize)
+  deliver <file>      Send a dataset's new and changed profiles to a webhook (--webhook),
+                      or send a webhook dead-letter file again
+  report [files]      Filter and count the profiles of every dataset the job's queries have
+                      produced, or of the dataset files given (--format, --out, filters below)
+  login               Log in once in a browser window (MFA, captcha) and save the session;
+                      --fresh deletes the saved session first
+
+Directory (when no job file is given; falls back to DIRECTORY_URL in .env):
+  --url <url>             Directory URL
+  --role <role>           Role filter, repeatable (e.g. searcher, investor)
+  --region <region>       Region filter, repeatable (e.g. "United States")
+  --city <city>           City, e.g. "Boston, MA, USA"
+  --lat <lat> --lng <lng> Coordinates of the city
+  --print-url             Only print the URL built from the filters
+  --parse-url <url>       Only print the filters of an existing URL
+
+Report filters (repeatable unless noted):
+  --occupation <text>     Role category (e.g. solo_searcher) or text in the occupation
+  --university <text>     Text in a university name
+  --state <code>          State or province code, e.g. NY
+  --metro <name>          Metro area, e.g. "New York", "Boston"
+  --near <place>          Metro name or "lat,lng", with --radius <miles> (default 25; not repeatable).
+                          Profiles are placed by ZIP code, then city and state, then metro area
+  --include-unlocated     Keep the profiles --near cannot place instead of leaving them out
+  --has <field>           linkedin or website
+  --top <n>               Rows per table (default ${DEFAULT_TOP})
+  --format <format>       text (default), markdown or html
+
+Options:
+  --query <name>          Only run these queries of the job file, repeatable
+  --headless              Run the browser without a window (or HEADLESS=true in .env)
+  --interactive-login     Let a person finish the login in a window before a headless run
+  --session-file <file>   Encrypted session store (needs SESSION_SECRET in .env)
+  --user-data-dir <dir>   Persistent browser profile instead of the session store
+  --selectors <file>      Selectors file laid over the built-in selector map (or SELECTORS_FILE)
+  --mode <mode>           dom (scroll and read the cards, default) or network (the directory's JSON responses)
+  --record-responses <dir>
+                          Save the directory's JSON responses there, e.g. as test fixtures
+  --output-dir <dir>      Directory for output files, the run summary, run_history.jsonl (the metrics
+                          of every run) and artifacts/<run> (screenshots and HTML of failures)
+  --checkpoint <file>     Checkpoint file (single directory)
+  --checkpoint-dir <dir>  Checkpoint directory (job file)
+  --sink <type>           Output format, repeatable: csv, jsonl, sqlite, xlsx
+  --scroll-delay <ms>     Wait after each scroll (default 2000)
+  --pause-delay <ms>      Pause before the next scroll (default 1000)
+  --jitter <ms>           Random extra pause, up to this much (default 500)
+  --max-profiles <n>      Stop each query after n profiles (1 or more), keeping its checkpoint
+  --concurrency <n>       Scrape up to n queries at once, or enrich on n pages, under one login
+                          and one rate limit (default 1)
+  --retries <n>           Retries for a page that fails to load (default 3)
+  --on-block <action>     When SearchFunder rate limits the run: pause (wait and retry, default) or abort
+  --enrich                Visit each profile page for the detail fields
+  --sync                  Diff each completed dataset against earlier runs
+  --webhook <url>         Also deliver new and changed profiles to this webhook, signed with
+                          WEBHOOK_SECRET from .env (or WEBHOOK_URL with deliver)
+  --crm <format>          CRM import CSV to export, repeatable: hubspot, salesforce
+  --field-map <file>      YAML or JSON map of CRM columns (or webhook payload keys) to record fields
+  --out <base>            Output base filename (export), or report file
+  --normalize             Clean the records while exporting, e.g. datasets from older versions
+  --json                  Print a machine-readable summary on stdout; logs go to stderr
+  --log-format <format>   text (default) or json: one JSON object per log line (or LOG_FORMAT)
+  --log-level <level>     ${Object.keys(LOG_LEVELS).join(', ')} (default info; or LOG_LEVEL)
+  --log-file <file>       Also append every log entry there as JSON (or LOG_FILE)
+  --help                  Show this help
+
+Exit codes: 0 success, 1 unexpected error, 2 bad usage, 3 login failed,
+4 page markup changed (selectors, or field fill rates dropped), 5 partial completion,
+6 rate limited, blocked or stopped by a captcha (checkpoint kept),
+130 interrupted by Ctrl+C or SIGTERM (checkpoint kept)`;
+
+const OPTIONS = {
+    url: { type: 'string' },
+    role: { type: 'string', multiple: true },
+    region: { type: 'string', multiple: true },
+    city: { type: 'string' },
+    lat: { type: 'string' },
+    lng: { type: 'string' },
+    'print-url': { type: 'boolean' },
+    'parse-url': { type: 'string' },
+    query: { type: 'string', multiple: true },
+    headless: { type: 'boolean' },
+    'interactive-login': { type: 'boolean' },
+    fresh: { type: 'boolean' },
+    'session-file': { type: 'string' },
+    'user-data-dir': { type: 'string' },
+    selectors: { type: 'string' },
+    mode: { type: 'string' },
+    'record-responses': { type: 'string' },
+    'output-dir': { type: 'string' },
+    checkpoint: { type: 'string' },
+    'checkpoint-dir': { type: 'string' },
+    sink: { type: 'string', multiple: true },
+    'scroll-delay': { type: 'string' },
+    'pause-delay': { type: 'string' },
+    jitter: { type: 'string' },
+    'max-profiles': { type: 'string' },
+    concurrency: { type: 'string' },
+    retries: { type: 'string' },
+    'on-block': { type: 'string' },
+    enrich: { type: 'boolean' },
+    sync: { type: 'boolean' },
+    webhook: { type: 'string' },
+    crm: { type: 'string', multiple: true },
+    'field-map': { type: 'string' },
+    occupation: { type: 'string', multiple: true },
+    university: { type: 'string', multiple: true },
+    state: { type: 'string', multiple: true },
+    metro: { type: 'string', multiple: true },
+    near: { type: 'string' },
+    radius: { type: 'string' },
+    'include-unlocated': { type: 'boolean' },
+    has: { type: 'string', multiple: true },
+    top: { type: 'string' },
+    format: { type: 'string' },
+    out: { type: 'string' },
+    normalize: { type: 'boolean' },
+    json: { type: 'boolean' },
+    'log-format': { type: 'string' },
+    'log-level': { type: 'string' },
+    'log-file': { type: 'string' },
+    help: { type: 'boolean' }
+};
+
+/**
+ * Parses the arguments, runs the command and returns the exit code. The console is put
+ * back as it was before returning.
+ */
+async function runCli(argv) {
+    const { debug, log, info, warn } = console;
+    let uninstallLogger = null;
+    let flags;
+    try {
+        let positionals;
+        ({ values: flags, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+
+        // Without a command the first argument is a job file, as in earlier versions
+        const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : 'scrape';
+
+        if (flags.help) {
+            console.log(USAGE);
+            return EXIT_CODES.success;
+        }
+
+        // Keep stdout clean for the JSON summary, or for a report printed there
+        if (flags.json || (command === 'report' && !flags.out)) {
+            Object.assign(console, { debug: console.error, log: console.error, info: console.error, warn: console.error });
+        }
+
+        uninstallLogger = installLogger({
+            format: flags['log-format'] || process.env.LOG_FORMAT || LOG_FORMATS[0],
+            level: flags['log-level'] || process.env.LOG_LEVEL || 'info',
+            file: flags['log-file'] || process.env.LOG_FILE || null
+        });
+
+        switch (command) {
+            case 'scrape':
+                return await scrapeCommand(flags, positionals, { resumeOnly: false });
+            case 'resume':
+                return await scrapeCommand(flags, positionals, { resumeOnly: true });
+            case 'status':
+                return statusCommand(flags, positionals);
+            case 'reset-checkpoint':
+                return resetCheckpointCommand(flags, positionals);
+            case 'export':
+                return await exportCommand(flags, positionals);
+            case 'deliver':
+                return await deliverCommand(flags, positionals);
+            case 'report':
+                return await reportCommand(flags, positionals);
+            case 'login':
+                return await loginCommand(flags);
+        }
+    } catch (error) {
+        const usageProblem = error instanceof UsageError || (error.code && error.code.startsWith('ERR_PARSE_ARGS'));
+        console.error(usageProblem ? `Error: ${error.message}\n\n${USAGE}` : error);
+        const exitCode = usageProblem ? EXIT_CODES.usage : EXIT_CODES[error.type] || EXIT_CODES.failure;
+
+        if (flags && flags.json) {
+            process.stdout.write(JSON.stringify({ error: error.message, errorType: error.type || 'failure', exitCode }) + '\n');
+        }
+        return exitCode;
+    } finally {
+        if (uninstallLogger) uninstallLogger();
+        Object.assign(console, { debug, log, info, warn });
+    }
+}
+
+/**
+ * scrape / resume: runs the job and maps its summary to an exit code
+ */
+async function scrapeCommand(flags, positionals, { resumeOnly }) {
+    // Print-only helpers for the directory URL builder
+    if (flags['parse-url']) {
+        console.log(JSON.stringify(parseDirectoryUrl(flags['parse-url']), null, 2));
+        return EXIT_CODES.success;
+    }
+    if (flags['print-url']) {
+        console.log(resolveDirectoryUrl(flags));
+        return EXIT_CODES.success;
+    }
+
+    const job = buildJob(flags, positionals);
+
+    if (resumeOnly) {
+        job.queries = job.queries.filter(query =>
+            checkpointExists(query.checkpoint) || checkpointExists(enrichmentCheckpointPath(query)));
+
+        if (job.queries.length === 0) {
+            console.log('Nothing to resume: no query has a checkpoint.');
+            printJson(flags, { queries: [], exitCode: EXIT_CODES.success });
+            return EXIT_CODES.success;
+        }
+        console.log(`Resuming ${job.queries.length} queries: ${job.queries.map(q => q.name).join(', ')}`);
+    }
+
+    const headless = flags.headless || /^(1|true|yes)$/i.test(process.env.HEADLESS || '');
+    const summary = await runJob(job, { headless, session: sessionFromFlags(flags) });
+    const exitCode = exitCodeForSummary(summary);
+
+    printJson(flags, { ...summary, exitCode });
+    return exitCode;
+}
+
+/**
+ * status: reports the checkpoint of every query without touching it
+ */
+function statusCommand(flags, positionals) {
+    const job = buildJob(flags, positionals);
+
+    const statuses = job.queries.map(query => {
+        const checkpoint = readCheckpoint(query.checkpoint);
+        const enrichment = readCheckpoint(enrichmentCheckpointPath(query));
+        return {
+            name: query.name,
+            url: query.url,
+            checkpoint: query.checkpoint,
+            state: checkpoint || enrichment ? 'in-progress' : 'idle',
+            lastProfileIndex: checkpoint ? checkpoint.lastProfileIndex : null,
+            lastProfileKey: checkpoint ? checkpoint.lastProfileKey || null : null,
+            cursorPage: checkpoint && checkpoint.cursor ? checkpoint.cursor.page : null,
+            processedCount: checkpoint ? checkpoint.processedCount || 0 : 0,
+            outputs: checkpoint ? checkpoint.outputs : null,
+            enrichedCount: enrichment ? enrichment.processedCount || 0 : null,
+            error: (checkpoint && checkpoint.error) || (enrichment && enrichment.error) || null
+        };
+    });
+
+    if (flags.json) {
+        printJson(flags, { queries: statuses });
+    } else {
+        statuses.forEach(status => {
+            // A query can be between passes: scraped, with only its enrichment left
+            const parts = [];
+            if (status.lastProfileIndex !== null) {
+                parts.push(`${status.processedCount} profiles processed, last index ${status.lastProfileIndex}`);
+                if (status.cursorPage !== null) parts.push(`resumes at endpoint page ${status.cursorPage}`);
+            }
+            if (status.enrichedCount !== null) parts.push(`${status.enrichedCount} enriched`);
+            const detail = status.state === 'idle' ? 'no checkpoint' : parts.join(', ') || 'checkpoint unreadable';
+            console.log(`${status.name}: ${status.state} (${detail})${status.error ? ` - ${status.error}` : ''}`);
+        });
+    }
+    return EXIT_CODES.success;
+}
+
+/**
+ * reset-checkpoint: deletes the directory and enrichment checkpoints of the selected queries
+ */
+function resetCheckpointCommand(flags, positionals) {
+    const job = buildJob(flags, positionals);
+    const cleared = [];
+
+    job.queries.forEach(query => {
+        [query.checkpoint, enrichmentCheckpointPath(query)].forEach(checkpointFile => {
+            if (clearCheckpoint(checkpointFile)) {
+                cleared.push(checkpointFile);
+                console.log(`Checkpoint cleared: ${checkpointFile}`);
+            }
+        });
+    });
+
+    if (cleared.length === 0) console.log('No checkpoints to clear.');
+    printJson(flags, { cleared });
+    return EXIT_CODES.success;
+}
+
+/**
+ * export: converts a dataset file (csv, jsonl, sqlite or xlsx) into the formats given with --sink,
+ * and into the CRM import CSVs given with --crm
+ */
+async function exportCommand(flags, positionals) {
+    const source = positionals[0];
+    if (!source) throw new UsageError('export needs the dataset file to read');
+    if (!fs.existsSync(source)) throw new UsageError(`Dataset file not found: ${source}`);
+    if (!flags.sink && !flags.crm) throw new UsageError('export needs at least one --sink or --crm');
+
+    const types = flags.sink ? validateSinkTypes(flags.sink) : [];
+    const records = (await readRecords(source)).map(record => flags.normalize ? normalizeRecord(record) : record);
+    const base = flags.out || source;
+
+    // Enrichment columns are carried over when the dataset has them
+    const columns = new Set(records.length > 0 ? Object.keys(records[0]) : []);
+    const fields = [...PROFILE_FIELDS, ...ENRICHMENT_FIELDS.filter(field => columns.has(field.name))];
+
+    const outputs = {};
+    for (const type of types) {
+        const filename = sinkFilename(type, base);
+        if (path.resolve(filename) === path.resolve(source)) {
+            console.log(`Skipping ${type}: ${filename} is the source file`);
+            continue;
+        }
+        if (fs.existsSync(filename)) {
+            console.log(`Replacing existing ${filename}`);
+            fs.unlinkSync(filename);
+        }
+
+        const sink = createSink(type, filename, fields);
+        await sink.open();
+        await sink.write(records);
+        await sink.close();
+        outputs[type] = filename;
+    }
+
+    const fieldMap = flags['field-map'] ? loadFieldMap(flags['field-map']) : {};
+    (flags.crm || []).forEach(format => {
+        outputs[format] = exportCrm(records, format, crmFilename(format, base), fieldMap).filename;
+    });
+
+    console.log(`Exported ${records.length} profiles from ${source}`);
+    printJson(flags, { source, profiles: records.length, outputs });
+    return EXIT_CODES.success;
+}
+
+/**
+ * deliver: sends the new and changed profiles of a dataset file to a webhook. The ledger and
+ * the dead-letter file sit next to the dataset; a dead-letter file given as the dataset is
+ * emptied first and keeps only the profiles that fail again.
+ */
+async function deliverCommand(flags, positionals) {
+    const source = positionals[0];
+    if (!source) throw new UsageError('deliver needs the dataset file to read');
+    if (!fs.existsSync(source)) throw new UsageError(`Dataset file not found: ${source}`);
+
+    const base = path.join(path.dirname(source), path.basename(source, path.extname(source)).replace(/_webhook_dead_letter$/, ''));
+    const webhook = resolveWebhook(flags.webhook || process.env.WEBHOOK_URL, { name: path.basename(base) }, path.dirname(source), {
+        webhookSecret: process.env.WEBHOOK_SECRET
+    });
+    if (!webhook) throw new UsageError('deliver needs --webhook (or WEBHOOK_URL in .env)');
+    webhook.ledger = `${base}_webhook_delivered.json`;
+    webhook.deadLetter = `${base}_webhook_dead_letter.jsonl`;
+    if (flags['field-map']) webhook.fieldMap = loadFieldMap(flags['field-map']);
+
+    const records = await readRecords(source);
+    if (path.resolve(source) === path.resolve(webhook.deadLetter)) fs.writeFileSync(source, '');
+
+    const sink = createWebhookSink(webhook);
+    await sink.open();
+    await sink.write(records);
+    await sink.close();
+
+    const { delivered, unchanged, deadLettered } = sink.stats;
+    console.log(`${delivered} profiles delivered, ${unchanged} unchanged, ${deadLettered} dead-lettered`);
+    printJson(flags, { source, ledger: webhook.ledger, deadLetter: webhook.deadLetter, ...sink.stats });
+    return deadLettered > 0 ? EXIT_CODES.partial : EXIT_CODES.success;
+}
+
+/**
+ * report: filters and counts the profiles of the selected queries' datasets (or of the
+ * dataset files given), printing the report or writing it to --out
+ */
+async function reportCommand(flags, positionals) {
+    const isDataset = file => ['.csv', '.jsonl', '.sqlite', '.xlsx'].includes(path.extname(file).toLowerCase());
+    let datasets = positionals.filter(isDataset);
+    let title = 'SearchFunder report';
+
+    if (datasets.length > 0) {
+        const missing = datasets.filter(file => !fs.existsSync(file));
+        if (missing.length > 0) throw new UsageError(`Dataset file not found: ${missing.join(', ')}`);
+    } else {
+        const job = buildJob(flags, positionals);
+        datasets = job.queries.flatMap(findQueryDatasets);
+        title = `SearchFunder report: ${job.queries.map(query => query.name).join(', ')}`;
+        if (datasets.length === 0) {
+            throw new UsageError(`No datasets found for ${job.queries.map(query => query.name).join(', ')}; give the dataset files instead`);
+        }
+    }
+
+    const format = flags.format || 'text';
+    if (!REPORT_FORMATS.includes(format)) throw new UsageError(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+
+    console.log(`Reading ${datasets.length} datasets`);
+    const report = await buildReport({
+        title,
+        datasets,
+        top: flags.top !== undefined ? toNonNegativeInt(flags.top, '--top') : DEFAULT_TOP,
+        filters: {
+            occupations: flags.occupation,
+            universities: flags.university,
+            states: flags.state,
+            metros: flags.metro,
+            near: flags.near ? { ...resolveNear(flags.near, flags.radius), includeUnlocated: Boolean(flags['include-unlocated']) } : null,
+            has: flags.has
+        }
+    });
+
+    // A report printed on stdout says so itself
+    if (report.unlocated > 0 && (flags.out || flags.json)) {
+        console.warn(`${report.unlocated} profiles could not be located for --near and were ${report.filters.near.includeUnlocated ? 'kept' : 'left out'}`);
+    }
+
+    const rendered = renderReport(report, format);
+    if (flags.out) {
+        fs.mkdirSync(path.dirname(flags.out), { recursive: true });
+        fs.writeFileSync(flags.out, rendered);
+        console.log(`Report written to ${flags.out}`);
+    } else if (!flags.json) {
+        process.stdout.write(rendered);
+    }
+
+    printJson(flags, { ...report, output: flags.out || null });
+    return EXIT_CODES.success;
+}
+
+/**
+ * Radius filter from --near (a metro name or "lat,lng") and --radius
+ */
+function resolveNear(near, radius) {
+    const radiusMiles = radius !== undefined ? Number(radius) : 25;
+    if (!(radiusMiles > 0)) throw new UsageError(`--radius must be a number of miles (got "${radius}")`);
+
+    const coordinates = near.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (coordinates) return { lat: Number(coordinates[1]), lng: Number(coordinates[2]), radiusMiles, label: near.trim() };
+
+    const metro = findMetro(near);
+    if (!metro) throw new UsageError(`--near must be a metro name or "lat,lng" (got "${near}")`);
+    return { lat: metro.lat, lng: metro.lng, radiusMiles, label: metro.name };
+}
+
+/**
+ * login: a person logs in once in a visible window; the saved session is reused by later runs.
+ * --fresh deletes the saved session first, so a stale one is not restored.
+ */
+async function loginCommand(flags) {
+    const session = { ...sessionFromFlags(flags), interactive: true };
+    if (flags.fresh) {
+        clearSession(resolveSessionOptions(session));
+        console.log('Saved session deleted; logging in from scratch');
+    }
+    await interactiveLogin(session);
+    printJson(flags, { loggedIn: true });
+    return EXIT_CODES.success;
+}
+
+/**
+ * Session store settings and credentials from the command line and .env
+ */
+function sessionFromFlags(flags) {
+    return {
+        file: flags['session-file'] || process.env.SESSION_FILE,
+        secret: process.env.SESSION_SECRET,
+        userDataDir: flags['user-data-dir'] || process.env.USER_DATA_DIR,
+        email: process.env.SEARCHFUNDER_EMAIL,
+        password: process.env.SEARCHFUNDER_PASSWORD,
+        interactive: Boolean(flags['interactive-login'])
+    };
+}
+
+/**
+ * Builds the job from a job file or from the single-directory flags, then applies command line overrides
+ */
+function buildJob(flags, positionals) {
+    const jobFile = positionals[0] || (!hasDirectoryFlags(flags) && process.env.JOB_FILE);
+    const defaults = {
+        selectors: process.env.SELECTORS_FILE,
+        mode: process.env.SCRAPE_MODE,
+        profileUrlTemplate: process.env.PROFILE_URL_TEMPLATE,
+        webhookSecret: process.env.WEBHOOK_SECRET
+    };
+    let job;
+
+    if (jobFile) {
+        const overrides = {};
+        if (flags['output-dir']) overrides.outputDir = flags['output-dir'];
+        if (flags['checkpoint-dir']) overrides.checkpointDir = flags['checkpoint-dir'];
+        if (flags.selectors) overrides.selectors = flags.selectors;
+        console.log(`Loading job file: ${jobFile}`);
+        job = loadJobFile(jobFile, overrides, defaults);
+    } else {
+        job = normalizeJob({
+            outputDir: flags['output-dir'] || '.',
+            selectors: flags.selectors,
+            queries: [{ name: 'searchfunder', url: resolveDirectoryUrl(flags), checkpoint: flags.checkpoint || CHECKPOINT_FILE }]
+        }, 'command line', defaults);
+    }
+
+    if (flags.concurrency !== undefined) {
+        job.concurrency = toNonNegativeInt(flags.concurrency, '--concurrency');
+        if (job.concurrency < 1) throw new UsageError('--concurrency must be 1 or more');
+    }
+
+    if (flags.query) {
+        const unknown = flags.query.filter(name => !job.queries.some(query => query.name === name));
+        if (unknown.length > 0) throw new UsageError(`Unknown query: ${unknown.join(', ')}`);
+        job.queries = job.queries.filter(query => flags.query.includes(query.name));
+    }
+
+    // Flags win over the job file's settings for every query
+    const delays = {};
+    if (flags['scroll-delay'] !== undefined) delays.scrollMs = toNonNegativeInt(flags['scroll-delay'], '--scroll-delay');
+    if (flags['pause-delay'] !== undefined) delays.pauseMs = toNonNegativeInt(flags['pause-delay'], '--pause-delay');
+    if (flags.jitter !== undefined) delays.jitterMs = toNonNegativeInt(flags.jitter, '--jitter');
+    const maxProfiles = flags['max-profiles'] !== undefined ? toNonNegativeInt(flags['max-profiles'], '--max-profiles') : null;
+    if (maxProfiles === 0) throw new UsageError('--max-profiles must be 1 or more');
+    const rateLimit = {};
+    if (flags.retries !== undefined) rateLimit.retries = toNonNegativeInt(flags.retries, '--retries');
+    if (flags['on-block'] !== undefined) {
+        if (!ON_BLOCK.includes(flags['on-block'])) throw new UsageError(`--on-block must be one of ${ON_BLOCK.join(', ')}`);
+        rateLimit.onBlock = flags['on-block'];
+    }
+    const sinks = flags.sink ? validateSinkTypes(flags.sink) : null;
+    if (flags.mode && !SCRAPE_MODES.includes(flags.mode)) {
+        throw new UsageError(`--mode must be one of ${SCRAPE_MODES.join(', ')}`);
+    }
+
+    job.queries.forEach(query => {
+        query.delays = { ...query.delays, ...delays };
+        query.rateLimit = { ...query.rateLimit, ...rateLimit };
+        if (maxProfiles) query.maxProfiles = maxProfiles;
+        if (sinks) query.sinks = sinks;
+        if (flags.mode) query.mode = flags.mode;
+        if (flags['record-responses']) query.recordResponses = flags['record-responses'];
+        if (flags.enrich) query.enrich = query.enrich || true;
+        if (flags.sync) query.sync = true;
+        if (flags.webhook) query.webhook = resolveWebhook({ ...query.webhook, url: flags.webhook }, query, query.outputDir, defaults);
+    });
+
+    return job;
+}
+
+function hasDirectoryFlags(flags) {
+    return ['url', 'role', 'region', 'city', 'lat', 'lng'].some(flag => flags[flag] !== undefined);
+}
+
+/**
+ * Directory URL from --url, the filter flags or DIRECTORY_URL, in that order
+ */
+function resolveDirectoryUrl(flags) {
+    try {
+        if (flags.url) {
+            parseDirectoryUrl(flags.url);
+            return flags.url;
+        }
+        if (hasDirectoryFlags(flags)) {
+            return buildDirectoryUrl({ roles: flags.role, regions: flags.region, city: flags.city, lat: flags.lat, lng: flags.lng });
+        }
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    return process.env.DIRECTORY_URL || DEFAULT_DIRECTORY_URL;
+}
+
+function toNonNegativeInt(value, flag) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new UsageError(`${flag} must be a whole number of 0 or more (got "${value}")`);
+    }
+    return number;
+}
+
+/**
+ * Exit code for a finished run: an interruption, then login, block and selector failures, then partial completion,
+ * then finished queries whose field health check flagged a markup change
+ */
+function exitCodeForSummary(summary) {
+    if (summary.interrupted) return EXIT_CODES.interrupted;
+    if (summary.errorType) {
+        return EXIT_CODES[summary.errorType] || EXIT_CODES.failure;
+    }
+
+    const unfinished = summary.queries.filter(query => query.status === 'failed' || query.status === 'skipped');
+    if (unfinished.some(query => query.errorType === 'auth')) return EXIT_CODES.auth;
+    if (unfinished.some(query => query.errorType === 'blocked')) return EXIT_CODES.blocked;
+    if (unfinished.some(query => query.errorType === 'selector')) return EXIT_CODES.selector;
+    if (unfinished.length > 0) return EXIT_CODES.partial;
+    if (summary.queries.some(query => query.health && query.health.status === 'degraded')) return EXIT_CODES.selector;
+    return EXIT_CODES.success;
+}
+
+/**
+ * Writes the machine-readable summary to stdout when --json is set
+ */
+function printJson(flags, data) {
+    if (flags.json) process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+module.exports = {
+    USAGE,
+    runCli,
+    exitCodeForSummary
+};
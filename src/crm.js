@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { Parser } = require('json2csv');
+const { UsageError } = require('./errors');
+
+/**
+ * CRM export
+ * Maps normalized profile records to the contact import CSVs of HubSpot and Salesforce.
+ * A format is a column map: CSV column => source, where a source is a record field, a list
+ * of fields (the first one with a value wins) or a "=literal" constant. Besides the schema
+ * columns, first_name, last_name and university (the first of `universities`) can be used.
+ * A field map from the job or a file is laid over the format: it adds or renames columns,
+ * and a column mapped to null is left out.
+ */
+
+const CRM_FORMATS = {
+    // HubSpot contacts import; LinkedIn and SearchFunder columns map to custom properties
+    hubspot: {
+        'First Name': 'first_name',
+        'Last Name': 'last_name',
+        'Job Title': 'occupation',
+        'Company Name': 'company_name',
+        'Website URL': 'website_url',
+        'LinkedIn URL': 'linkedIn_url',
+        'City': 'city',
+        'State/Region': 'state',
+        'Postal Code': 'zip',
+        'Country/Region': 'country',
+        'School': 'university',
+        'SearchFunder Role': 'role_category',
+        'SearchFunder Profile URL': 'profile_url',
+        'Lead Source': '=SearchFunder'
+    },
+    // Salesforce Data Import Wizard, leads. Company and Last Name are required there.
+    salesforce: {
+        'First Name': 'first_name',
+        'Last Name': 'last_name',
+        'Title': 'occupation',
+        'Company': ['company_name', '=Self-employed'],
+        'Website': 'website_url',
+        'City': 'city',
+        'State/Province': 'state',
+        'Zip/Postal Code': 'zip',
+        'Country': 'country',
+        'Lead Source': '=SearchFunder',
+        'Description': 'profile_url',
+        'LinkedIn URL': 'linkedIn_url'
+    }
+};
+
+/**
+ * Reads a field map from a YAML or JSON file
+ */
+function loadFieldMap(file) {
+    if (!fs.existsSync(file)) throw new UsageError(`Field map not found: ${file}`);
+    const fieldMap = yaml.load(fs.readFileSync(file, 'utf8'));
+    if (!fieldMap || typeof fieldMap !== 'object' || Array.isArray(fieldMap)) {
+        throw new UsageError(`${file} must map column names to record fields`);
+    }
+    return fieldMap;
+}
+
+/**
+ * The column map of a format with a field map laid over it
+ */
+function columnMap(format, fieldMap = {}) {
+    if (!CRM_FORMATS[format]) {
+        throw new UsageError(`Unknown CRM format "${format}". Choose from: ${Object.keys(CRM_FORMATS).join(', ')}`);
+    }
+    const columns = { ...CRM_FORMATS[format], ...fieldMap };
+    Object.keys(columns).forEach(column => {
+        if (columns[column] === null) delete columns[column];
+    });
+    return columns;
+}
+
+/**
+ * The record with the derived fields a column map can use
+ */
+function withDerivedFields(record) {
+    const parts = (record.name || '').trim().split(/\s+/).filter(Boolean);
+    const universities = Array.isArray(record.universities)
+        ? record.universities
+        : (record.uni_name || '').split(';').map(name => name.trim()).filter(Boolean);
+
+    return {
+        ...record,
+        // A single name goes to the last name, which CRMs require
+        first_name: parts.length > 1 ? parts.slice(0, -1).join(' ') : null,
+        last_name: parts[parts.length - 1] || null,
+        university: universities[0] || null
+    };
+}
+
+/**
+ * Value of one source for a record
+ */
+function resolveSource(record, source) {
+    const candidates = Array.isArray(source) ? source : [source];
+    for (const candidate of candidates) {
+        if (typeof candidate === 'string' && candidate.startsWith('=')) return candidate.slice(1);
+        const value = record[candidate];
+        if (Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '') {
+            return Array.isArray(value) ? value.join('; ') : value;
+        }
+    }
+    return null;
+}
+
+/**
+ * Maps records to rows of the given column map
+ */
+function mapRecords(records, columns) {
+    return records.map(withDerivedFields).map(record => {
+        const row = {};
+        Object.entries(columns).forEach(([column, source]) => { row[column] = resolveSource(record, source); });
+        return row;
+    });
+}
+
+/**
+ * Output filename of a CRM export: the base path with _<format>.csv
+ */
+function crmFilename(format, basePath) {
+    return basePath.replace(/\.(csv|jsonl|sqlite|xlsx)$/i, '') + `_${format}.csv`;
+}
+
+/**
+ * Writes the records as a CRM import CSV. Returns { format, filename, rows }.
+ */
+function exportCrm(records, format, filename, fieldMap = {}) {
+    const columns = columnMap(format, fieldMap);
+    const rows = mapRecords(records, columns);
+
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    fs.writeFileSync(filename, new Parser({ fields: Object.keys(columns), nullValue: '' }).parse(rows) + '\n');
+    console.log(`Wrote ${rows.length} ${format} contacts to ${filename}`);
+
+    return { format, filename, rows: rows.length };
+}
+
+module.exports = {
+    CRM_FORMATS,
+    loadFieldMap,
+    columnMap,
+    mapRecords,
+    crmFilename,
+    exportCrm
+};
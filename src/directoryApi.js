@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const { profileKey } = require('./selectors');
+const { parseRetryAfter } = require('./governor');
+
+/**
+ * Directory API
+ * The directory's infinite scroll is fed by a paginated JSON endpoint. While the page
+ * scrolls, the watcher learns that endpoint from the responses the page receives and
+ * remembers which profiles came on which page. That gives a page cursor for the
+ * checkpoint, and lets a resumed run fetch pages directly instead of scrolling back
+ * through everything it already has. Network mode builds the whole dataset this way.
+ * Which JSON keys hold which field is part of the selector map (`api`).
+ * Responses can be recorded to disk and replayed offline (see test/network.test.js).
+ */
+
+// Query parameters that number the pages of a listing, most likely first
+const PAGE_PARAMS = ['page', 'pageNumber', 'page_number', 'p', 'offset', 'start', 'skip'];
+
+// Parameters that count items rather than pages
+const OFFSET_PARAMS = new Set(['offset', 'start', 'skip']);
+
+// Most endpoint pages fetched in one pass, in case the endpoint never runs out
+const MAX_ENDPOINT_PAGES = 5000;
+
+function valueAt(item, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), item);
+}
+
+/**
+ * The list of profiles in a response body: the body itself, or the first array found under one of `itemPaths`
+ */
+function findItems(body, itemPaths) {
+    if (Array.isArray(body)) return body;
+    for (const itemPath of itemPaths) {
+        const value = valueAt(body, itemPath);
+        if (Array.isArray(value)) return value;
+    }
+    return null;
+}
+
+/**
+ * Page parameter of an endpoint URL, or null when the URL is not paginated
+ */
+function pageParamOf(url) {
+    const params = new URL(url).searchParams;
+    const name = PAGE_PARAMS.find(param => params.has(param) && /^\d+$/.test(params.get(param)));
+    return name ? { name, value: Number(params.get(name)) } : null;
+}
+
+/**
+ * Turns one JSON profile into a record with the card fields. Each field lists candidate
+ * key paths; a candidate that is itself a list is joined with spaces (first and last name).
+ * Lists of values (or of objects with a name) are joined with "; ".
+ */
+function mapApiProfile(item, fieldMap, profileUrlTemplate) {
+    const toText = (value) => {
+        if (value === undefined || value === null || value === '') return null;
+        if (Array.isArray(value)) {
+            const parts = value.map(entry => (entry && typeof entry === 'object' ? entry.name || entry.title : entry)).filter(Boolean);
+            return parts.length > 0 ? parts.join('; ') : null;
+        }
+        if (typeof value === 'object') return value.name || null;
+        return String(value).trim() || null;
+    };
+
+    const record = {};
+    Object.entries(fieldMap).forEach(([field, candidates]) => {
+        record[field] = null;
+        for (const candidate of candidates) {
+            const value = Array.isArray(candidate)
+                ? candidate.map(keyPath => toText(valueAt(item, keyPath))).filter(Boolean).join(' ') || null
+                : toText(valueAt(item, candidate));
+            if (value) {
+                record[field] = value;
+                break;
+            }
+        }
+    });
+
+    if (record.profile_url && record.profile_url.startsWith('/')) {
+        record.profile_url = new URL(record.profile_url, 'https://searchfunder.com').href;
+    }
+    if (!record.profile_url && record.profile_id) {
+        record.profile_url = profileUrlTemplate.replace('{id}', encodeURIComponent(record.profile_id));
+    }
+    return record;
+}
+
+/**
+ * Maps a response body to records, or null when it does not look like a page of profiles
+ */
+function recordsFromBody(body, api, profileUrlTemplate) {
+    const items = findItems(body, api.items);
+    if (!items) return null;
+    return items
+        .filter(item => item && typeof item === 'object')
+        .map(item => mapApiProfile(item, api.fields, profileUrlTemplate))
+        .filter(record => record.profile_id || record.name);
+}
+
+/**
+ * URL of one page of an endpoint
+ */
+function pageUrl(endpoint, pageValue) {
+    const url = new URL(endpoint.url);
+    url.searchParams.set(endpoint.pageParam, String(pageValue));
+    return url.href;
+}
+
+/**
+ * Listens to the page's JSON responses and learns the directory endpoint.
+ * Returns { endpoint, cursor(processed), takePages(), waitForEndpoint(ms), stop() };
+ * `endpoint` stays null until a paginated response with profiles has been seen.
+ * With `capture` the records of each page are kept for takePages(); with `recordDir`
+ * every directory response is also saved there for replaying.
+ */
+function watchDirectoryApi(page, selectors, profileUrlTemplate, { capture = false, recordDir = null } = {}) {
+    let endpoint = null;
+    const pages = new Map();
+    const captured = new Map();
+
+    const onResponse = async (response) => {
+        try {
+            const request = response.request();
+            if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+            if (!/(^|\.)searchfunder\.com$/.test(new URL(response.url()).hostname)) return;
+            if (!(response.headers()['content-type'] || '').includes('json')) return;
+
+            const param = pageParamOf(response.url());
+            if (!param) return;
+            if (endpoint && new URL(endpoint.url).pathname !== new URL(response.url()).pathname) return;
+
+            const body = await response.json();
+            const records = recordsFromBody(body, selectors.api, profileUrlTemplate);
+            if (!records || records.length === 0) return;
+            if (recordDir) recordResponse(recordDir, response.url(), param, body);
+
+            if (!endpoint) {
+                endpoint = {
+                    url: response.url(),
+                    pageParam: param.name,
+                    pageStep: OFFSET_PARAMS.has(param.name) ? records.length : 1
+                };
+                console.log(`Directory endpoint found: ${new URL(endpoint.url).pathname} (paged by "${endpoint.pageParam}")`);
+            }
+            pages.set(param.value, records.map(profileKey));
+            if (capture) captured.set(param.value, records);
+        } catch (error) {
+            // Bodies of redirects and aborted requests cannot be read; they are not directory pages
+        }
+    };
+
+    page.on('response', onResponse);
+
+    return {
+        get endpoint() {
+            return endpoint;
+        },
+
+        /**
+         * Page cursor for the checkpoint: the first page seen that still has an unprocessed
+         * profile, or the page after the last one when all of them are done
+         */
+        cursor(processed) {
+            if (!endpoint || pages.size === 0) return null;
+            const numbers = Array.from(pages.keys()).sort((a, b) => a - b);
+            const open = numbers.find(number => pages.get(number).some(key => !processed.has(key)));
+            const next = open !== undefined ? open : numbers[numbers.length - 1] + endpoint.pageStep;
+            return { type: 'page', endpoint, page: next };
+        },
+
+        /**
+         * Records of the pages the page itself loaded since the last call, in page order
+         */
+        takePages() {
+            const taken = Array.from(captured.entries())
+                .sort(([a], [b]) => a - b)
+                .map(([pageValue, records]) => ({ page: pageValue, records }));
+            captured.clear();
+            return taken;
+        },
+
+        /**
+         * Resolves with the endpoint once it is known, or null after `timeoutMs`
+         */
+        async waitForEndpoint(timeoutMs) {
+            const deadline = Date.now() + timeoutMs;
+            while (!endpoint && Date.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+            return endpoint;
+        },
+
+        stop() {
+            page.off('response', onResponse);
+        }
+    };
+}
+
+/**
+ * Saves one directory response as <dir>/<endpoint path>_<param>-<value>.json
+ */
+function recordResponse(recordDir, url, param, body) {
+    const name = new URL(url).pathname.replace(/^\/+|\/+$/g, '').replace(/[^\w.-]+/g, '_') || 'root';
+    fs.mkdirSync(recordDir, { recursive: true });
+    fs.writeFileSync(
+        path.join(recordDir, `${name}_${param.name}-${param.value}.json`),
+        JSON.stringify({ url, recordedAt: new Date().toISOString(), body }, null, 2)
+    );
+}
+
+/**
+ * JSON fetcher that runs inside the logged-in page, so the session's cookies go along.
+ * A failed request throws an error with its HTTP `status`, and the `retryAfterMs` a
+ * Retry-After header asked for.
+ */
+function pageFetcher(page) {
+    return async (url) => {
+        const { status, retryAfter, body } = await page.evaluate(async (pageUrlToFetch) => {
+            const response = await fetch(pageUrlToFetch, { credentials: 'include', headers: { accept: 'application/json' } });
+            return { status: response.status, retryAfter: response.headers.get('retry-after'), body: response.ok ? await response.json() : null };
+        }, url);
+
+        if (status >= 400) {
+            const error = new Error(`HTTP ${status} for ${url}`);
+            error.status = status;
+            error.retryAfterMs = parseRetryAfter(retryAfter);
+            throw error;
+        }
+        return body;
+    };
+}
+
+/**
+ * Fetches one page of the endpoint with `fetchJson` (url => parsed body) and maps it to records
+ */
+async function fetchDirectoryPage(fetchJson, endpoint, pageValue, selectors, profileUrlTemplate) {
+    const body = await fetchJson(pageUrl(endpoint, pageValue));
+    const records = recordsFromBody(body, selectors.api, profileUrlTemplate);
+    if (!records) {
+        throw new Error(`Page ${pageValue} of ${new URL(endpoint.url).pathname} holds no profile list`);
+    }
+    return records;
+}
+
+/**
+ * Pages through the endpoint from `firstPage` until a page comes back empty,
+ * yielding { page, records } per page. An endpoint that ignores the page parameter or
+ * keeps answering with its last page is stopped at the first page without a profile
+ * not seen before, and every pass at MAX_ENDPOINT_PAGES.
+ */
+async function* endpointPages(fetchJson, endpoint, firstPage, selectors, profileUrlTemplate, maxPages = MAX_ENDPOINT_PAGES) {
+    const seen = new Set();
+
+    for (let fetched = 0, pageValue = firstPage; ; fetched++, pageValue += endpoint.pageStep) {
+        if (fetched >= maxPages) {
+            console.warn(`Stopped paging the directory endpoint after ${maxPages} pages`);
+            return;
+        }
+
+        const records = await fetchDirectoryPage(fetchJson, endpoint, pageValue, selectors, profileUrlTemplate);
+        if (records.length === 0) return;
+
+        const keys = records.map(profileKey);
+        if (keys.every(key => seen.has(key))) {
+            console.warn(`Page ${pageValue} of the directory endpoint repeats profiles already fetched; stopping there`);
+            return;
+        }
+        keys.forEach(key => seen.add(key));
+        yield { page: pageValue, records };
+    }
+}
+
+module.exports = {
+    PAGE_PARAMS,
+    OFFSET_PARAMS,
+    MAX_ENDPOINT_PAGES,
+    pageParamOf,
+    mapApiProfile,
+    recordsFromBody,
+    pageUrl,
+    watchDirectoryApi,
+    pageFetcher,
+    fetchDirectoryPage,
+    endpointPages
+};
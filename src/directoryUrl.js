@@ -0,0 +1,161 @@
+/**
+ * Directory URL builder
+ * Builds and validates SearchFunder directory URLs from structured filters,
+ * and parses existing directory URLs back into those filters.
+ *
+ * Filters: { roles: string[], city: string, lat: number, lng: number, regions: string[] },
+ * plus `extra`: { name: value or values } for parameters the builder does not model.
+ */
+
+const DIRECTORY_BASE_URL = 'https://searchfunder.com/directory';
+
+// Query string parameters used by the directory page, in the order the site writes them
+const PARAM_NAMES = {
+    roles: 'roles_arr',
+    city: 'city',
+    lat: 'lat',
+    lng: 'lng',
+    regions: 'regions_arr'
+};
+
+/**
+ * Builds a directory URL from structured filters, throwing if they are invalid
+ */
+function buildDirectoryUrl(filters = {}) {
+    const normalized = normalizeFilters(filters);
+    const { errors } = validateFilters(filters);
+    if (errors.length > 0) {
+        throw new Error(`Invalid directory filters: ${errors.join('; ')}`);
+    }
+
+    const params = [];
+    normalized.roles.forEach(role => params.push([PARAM_NAMES.roles, role]));
+    if (normalized.city) params.push([PARAM_NAMES.city, normalized.city]);
+    if (normalized.lat !== null) params.push([PARAM_NAMES.lat, String(normalized.lat)]);
+    if (normalized.lng !== null) params.push([PARAM_NAMES.lng, String(normalized.lng)]);
+    normalized.regions.forEach(region => params.push([PARAM_NAMES.regions, region]));
+    Object.entries(normalized.extra).forEach(([key, values]) => values.forEach(value => params.push([key, value])));
+
+    if (params.length === 0) return DIRECTORY_BASE_URL;
+
+    // Keep commas readable like the URLs the site itself produces
+    const query = params
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value).replace(/%2C/gi, ',')}`)
+        .join('&');
+
+    return `${DIRECTORY_BASE_URL}?${query}`;
+}
+
+/**
+ * Parses a directory URL back into structured filters.
+ * Parameters the builder does not know about are kept under `extra` (a list when repeated),
+ * so building the URL again gives the same query.
+ */
+function parseDirectoryUrl(directoryUrl) {
+    let url;
+    try {
+        url = new URL(directoryUrl);
+    } catch (error) {
+        throw new Error(`Invalid directory URL: ${directoryUrl}`);
+    }
+
+    if (!/(^|\.)searchfunder\.com$/.test(url.hostname) || !url.pathname.startsWith('/directory')) {
+        throw new Error(`Not a SearchFunder directory URL: ${directoryUrl}`);
+    }
+
+    // The site sends multi-value filters either repeated or comma separated
+    const getList = (name) => url.searchParams.getAll(name)
+        .flatMap(value => name === PARAM_NAMES.regions ? [value] : value.split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+
+    const getNumber = (name) => {
+        const value = url.searchParams.get(name);
+        return value === null || value === '' ? null : Number(value);
+    };
+
+    const known = new Set(Object.values(PARAM_NAMES));
+    const extra = {};
+    for (const [key, value] of url.searchParams) {
+        if (known.has(key)) continue;
+        extra[key] = key in extra ? [].concat(extra[key], value) : value;
+    }
+
+    const filters = {
+        roles: getList(PARAM_NAMES.roles),
+        city: url.searchParams.get(PARAM_NAMES.city) || null,
+        lat: getNumber(PARAM_NAMES.lat),
+        lng: getNumber(PARAM_NAMES.lng),
+        regions: getList(PARAM_NAMES.regions)
+    };
+    if (Object.keys(extra).length > 0) filters.extra = extra;
+
+    return filters;
+}
+
+/**
+ * Checks filters for mistakes. Errors make a URL unusable; warnings are worth a log line.
+ */
+function validateFilters(filters) {
+    const normalized = normalizeFilters(filters);
+    const known = new Set(Object.values(PARAM_NAMES));
+    const errors = [];
+    const warnings = [];
+
+    normalized.roles.forEach(role => {
+        if (!/^[a-z_]+$/.test(role)) {
+            errors.push(`role "${role}" should be a lowercase role key such as "searcher" or "investor"`);
+        }
+    });
+
+    if (Number.isNaN(normalized.lat) || (normalized.lat !== null && Math.abs(normalized.lat) > 90)) {
+        errors.push(`lat must be a number between -90 and 90 (got ${filters.lat})`);
+    }
+    if (Number.isNaN(normalized.lng) || (normalized.lng !== null && Math.abs(normalized.lng) > 180)) {
+        errors.push(`lng must be a number between -180 and 180 (got ${filters.lng})`);
+    }
+    if ((normalized.lat === null) !== (normalized.lng === null)) {
+        errors.push('lat and lng must be given together');
+    }
+    if (normalized.lat !== null && !normalized.city) {
+        errors.push('lat and lng need a city to go with them');
+    }
+    Object.keys(normalized.extra).filter(key => known.has(key)).forEach(key => {
+        errors.push(`extra parameter "${key}" is a filter of its own; set it there instead`);
+    });
+    if (normalized.city && normalized.lat === null) {
+        warnings.push(`city "${normalized.city}" has no lat/lng; the directory may not apply its location radius`);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Coerces loosely-typed filters (single values, numeric strings) into the canonical shape
+ */
+function normalizeFilters(filters = {}) {
+    const toList = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+    const toNumber = (value) => value === undefined || value === null || value === '' ? null : Number(value);
+
+    return {
+        roles: toList(filters.roles || filters.role),
+        city: filters.city ? String(filters.city).trim() : null,
+        lat: toNumber(filters.lat),
+        lng: toNumber(filters.lng),
+        regions: toList(filters.regions || filters.region),
+        extra: Object.fromEntries(Object.entries(filters.extra || {})
+            .map(([key, value]) => [key, (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null).map(String)])
+            .filter(([, values]) => values.length > 0))
+    };
+}
+
+module.exports = {
+    DIRECTORY_BASE_URL,
+    buildDirectoryUrl,
+    parseDirectoryUrl,
+    validateFilters,
+    normalizeFilters
+};
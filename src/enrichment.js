@@ -0,0 +1,278 @@
+const fs = require('fs');
+const { openProcessedLog, processedLogPath, writeCheckpointFile, readCheckpointFile, clearCheckpoint } = require('./checkpointStore');
+const { PROFILE_FIELDS, ENRICHMENT_FIELDS } = require('./schema');
+const { createSink, sinkFilename, readRecords } = require('./sinks');
+const { isLoginPage } = require('./session');
+const { normalizeRecord } = require('./normalize');
+const { createPacer } = require('./governor');
+
+/**
+ * Profile detail enrichment
+ * An optional second pass that visits each profile's detail page in the same
+ * logged-in session and merges the richer fields found there into the record.
+ * The pass has its own throttling and checkpoint, so it can be stopped and resumed.
+ * A profile whose detail page fails is left out and kept for the next pass, up to
+ * `maxAttempts` passes; after that it is written with its directory fields only.
+ * Detail pages are opened through the query's request governor when one is given,
+ * on several pages at once when the run lends the pass more than one.
+ */
+
+// Used to build a detail page URL from the card's data-profilecard value when the card has no profile link
+// (a job can set its own with `profileUrlTemplate`)
+const PROFILE_URL_TEMPLATE = 'https://searchfunder.com/profile/{id}';
+
+// Labels shown next to each enrichment field on the profile detail page, first match wins
+const DETAIL_FIELD_LABELS = {
+    bio: ['About', 'Bio', 'Summary'],
+    company_name: ['Fund Name', 'Fund', 'Company', 'Search Fund'],
+    search_stage: ['Search Stage', 'Stage', 'Status'],
+    industries: ['Industries of Interest', 'Target Industries', 'Industries'],
+    deal_size: ['Target Deal Size', 'Deal Size', 'Target EBITDA'],
+    investors: ['Investors', 'Backed By'],
+    joined_date: ['Member Since', 'Joined On', 'Joined']
+};
+
+const DEFAULT_ENRICH_OPTIONS = {
+    minDelayMs: 3000, // Pause between detail pages, picked at random between min and max
+    maxDelayMs: 6000,
+    batchSize: 10, // Profiles written to the enriched output (and checkpointed) at a time
+    maxAttempts: 3 // Passes that try a failing detail page before giving up on it
+};
+
+/**
+ * Key used to remember which records were enriched: the profile ID, falling back to the profile page or name and occupation
+ */
+function enrichmentKey(record) {
+    if (record.profile_id) return `id:${record.profile_id}`;
+    return record.profile_url || `card:${record.name}|${record.occupation}`;
+}
+
+/**
+ * Path of the enrichment checkpoint that belongs to a query
+ */
+function enrichmentCheckpointPath(query) {
+    return query.checkpoint.replace(/(\.checkpoint)?\.json$/, '') + '.enrich.checkpoint.json';
+}
+
+/**
+ * Load enrichment checkpoint for a query, or null if there is none
+ */
+function loadEnrichmentCheckpoint(query) {
+    return readCheckpointFile(enrichmentCheckpointPath(query));
+}
+
+/**
+ * Update enrichment checkpoint with current progress
+ * Enriched profile keys live in the append-only log next to the checkpoint; `failures`
+ * counts the failed attempts of the profiles still to be tried again
+ */
+function updateEnrichmentCheckpoint(query, source, outputs, processed, failures = {}) {
+    const checkpointFile = enrichmentCheckpointPath(query);
+    try {
+        const checkpoint = {
+            query: { name: query.name, url: query.url },
+            source,
+            outputs,
+            processedLog: processed.logFile,
+            processedCount: processed.size,
+            failures
+        };
+        writeCheckpointFile(checkpointFile, checkpoint);
+        console.log(`Enrichment checkpoint updated: ${processed.size} profiles enriched`);
+    } catch (error) {
+        console.error('Error updating enrichment checkpoint:', error);
+    }
+}
+
+/**
+ * Visits the detail page of every profile in the directory dataset and writes an
+ * enriched dataset next to it, through the same output sinks as the query.
+ * Resumes from the enrichment checkpoint when one exists; profiles whose detail page failed
+ * keep the checkpoint, so a resumed pass tries them again, until they have failed
+ * `options.maxAttempts` times. `options.reauthenticate(page)`
+ * is called when a detail page redirects to the login form; `options.governor` retries
+ * failing detail pages and stops the pass on a block (see governor.js). `options.pages`
+ * visits the profiles on several pages at once, and `options.onProgress(done, total)`
+ * is called after every batch.
+ */
+async function enrichProfiles(page, query, source, options = {}) {
+    const { minDelayMs, maxDelayMs, batchSize, maxAttempts, reauthenticate, governor, pages = [page], onProgress } = { ...DEFAULT_ENRICH_OPTIONS, ...options };
+    const openPage = (target, url) => governor ? governor.navigate(target, url) : target.goto(url, { waitUntil: 'networkidle2' });
+
+    // The pause between detail pages holds whatever number of pages they are opened on;
+    // the run's governor ends the wait on a stop
+    const pacing = { intervalMs: minDelayMs, jitterMs: Math.max(0, maxDelayMs - minDelayMs) };
+    const pacer = governor ? governor.pacer(pacing) : createPacer(pacing);
+
+    const checkpoint = loadEnrichmentCheckpoint(query);
+    const resuming = Boolean(checkpoint && checkpoint.source === source && checkpoint.outputs);
+    const logFile = processedLogPath(enrichmentCheckpointPath(query));
+    if (!resuming && fs.existsSync(logFile)) fs.unlinkSync(logFile);
+    const processed = openProcessedLog(logFile);
+    const records = await readRecords(source);
+
+    let outputs = {};
+    const failures = resuming ? { ...checkpoint.failures } : {};
+    if (resuming) {
+        outputs = checkpoint.outputs;
+        console.log(`Resuming enrichment: ${processed.size} profiles already enriched in ${Object.values(outputs).join(', ')}`);
+    } else {
+        const base = source.replace(/\.[^.\/]+$/, '') + '_enriched';
+        query.sinks.forEach(type => { outputs[type] = sinkFilename(type, base); });
+
+        // A fresh pass starts from empty files
+        Object.values(outputs).filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+    }
+
+    const fields = [...PROFILE_FIELDS, ...ENRICHMENT_FIELDS];
+    const sinks = Object.entries(outputs).map(([type, file]) => createSink(type, file, fields));
+    for (const sink of sinks) {
+        await sink.open();
+    }
+    updateEnrichmentCheckpoint(query, source, outputs, processed, failures);
+
+    const pending = records.filter(record => !processed.has(enrichmentKey(record)));
+    console.log(`Enriching ${pending.length} of ${records.length} profiles from ${source}${pages.length > 1 ? ` on ${pages.length} pages` : ''}`);
+
+    let batch = [];
+    let failed = 0; // Failed, to be tried again on the next pass
+    let gaveUp = 0; // Failed on their last attempt, written with the directory fields only
+    let done = 0;
+    let writing = Promise.resolve();
+
+    // Batches are written one after another, whichever page finished them
+    const flush = () => {
+        const records = batch;
+        batch = [];
+        writing = writing.then(async () => {
+            if (records.length > 0) {
+                for (const sink of sinks) {
+                    await sink.write(records);
+                }
+                processed.add(records.map(enrichmentKey));
+            }
+            updateEnrichmentCheckpoint(query, source, outputs, processed, failures);
+            if (onProgress) onProgress(done, pending.length);
+        });
+        return writing;
+    };
+
+    let next = 0;
+    let stopped = null;
+    const work = async (workerPage) => {
+        while (next < pending.length && !stopped) {
+            const record = pending[next++];
+            let details = {};
+
+            if (!record.profile_url) {
+                console.log(`No profile page known for ${record.name}, keeping directory fields only`);
+            } else {
+                try {
+                    await pacer.wait();
+                    await openPage(workerPage, record.profile_url);
+
+                    // Log in again when the session expired during a long pass
+                    if (isLoginPage(workerPage) && reauthenticate) {
+                        console.log('Session expired during enrichment, logging in again...');
+                        await reauthenticate(workerPage);
+                        await openPage(workerPage, record.profile_url);
+                    }
+                    details = await extractProfileDetails(workerPage);
+                } catch (error) {
+                    // Login failures and blocks stop the pass; the checkpoint is kept for resuming
+                    if (error.type) throw error;
+                    const key = enrichmentKey(record);
+                    failures[key] = (failures[key] || 0) + 1;
+                    console.error(`Error enriching ${record.name} (${record.profile_url}), attempt ${failures[key]}/${maxAttempts}:`, error.message);
+                    if (failures[key] < maxAttempts) {
+                        failed++;
+                        continue;
+                    }
+                    console.log(`Giving up on the detail page of ${record.name}, keeping directory fields only`);
+                    delete failures[key];
+                    gaveUp++;
+                }
+            }
+
+            // Directory records from before the normalization stage are cleaned on the way through
+            batch.push(normalizeRecord({ ...record, ...details }));
+            done++;
+
+            if (batch.length >= batchSize) {
+                await flush();
+                console.log(`Enriched ${done}/${pending.length} profiles`);
+            }
+        }
+    };
+
+    try {
+        // The first failure stops every page from taking another profile; the others finish theirs
+        await Promise.all(pages.map(workerPage => work(workerPage).catch(error => {
+            if (!stopped) stopped = error;
+        })));
+        await flush();
+        if (stopped) throw stopped;
+    } finally {
+        for (const sink of sinks) {
+            await sink.close();
+        }
+    }
+
+    // Clear checkpoint after the pass completes, unless some profiles are still to be enriched
+    if (failed > 0) {
+        console.log(`Enrichment checkpoint kept: resume to try the ${failed} failed detail pages again`);
+    } else if (clearCheckpoint(enrichmentCheckpointPath(query))) {
+        console.log('Enrichment checkpoint cleared after successful completion');
+    }
+
+    const primaryOutput = outputs[query.sinks[0]] || Object.values(outputs)[0];
+    console.log(`Enrichment completed: ${done} profiles written to ${primaryOutput} (${failed + gaveUp} detail pages failed)`);
+    return { enrichedOutput: primaryOutput, profilesEnriched: done - gaveUp, enrichmentFailures: failed + gaveUp };
+}
+
+/**
+ * Reads the labelled fields from an open profile detail page
+ */
+async function extractProfileDetails(page) {
+    return page.evaluate((fieldLabels) => {
+        const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+        const normalizeLabel = (text) => clean(text).replace(/:$/, '').toLowerCase();
+
+        // Elements whose own text is just a label, e.g. <h4>Industries of Interest</h4>
+        const labelEls = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6, dt, label, strong, b, span, div'))
+            .filter(el => el.children.length === 0 && clean(el.textContent).length < 40);
+
+        // Value next to a label; chip-style lists are joined with '; '
+        const valueFor = (labelEl) => {
+            let valueEl = labelEl.nextElementSibling;
+            if (!valueEl && labelEl.parentElement) valueEl = labelEl.parentElement.nextElementSibling;
+            if (!valueEl) return null;
+
+            const items = Array.from(valueEl.querySelectorAll('li, .badge, .chip, .tag'));
+            if (items.length > 0) return items.map(item => clean(item.textContent)).filter(Boolean).join('; ');
+            return clean(valueEl.textContent) || null;
+        };
+
+        const details = {};
+        for (const [field, labels] of Object.entries(fieldLabels)) {
+            details[field] = null;
+            for (const label of labels) {
+                const labelEl = labelEls.find(el => normalizeLabel(el.textContent) === label.toLowerCase());
+                const value = labelEl ? valueFor(labelEl) : null;
+                if (value) {
+                    details[field] = value;
+                    break;
+                }
+            }
+        }
+        return details;
+    }, DETAIL_FIELD_LABELS);
+}
+
+module.exports = {
+    PROFILE_URL_TEMPLATE,
+    enrichProfiles,
+    extractProfileDetails,
+    loadEnrichmentCheckpoint,
+    enrichmentCheckpointPath
+};
@@ -0,0 +1,88 @@
+/**
+ * Error types
+ * Failures the CLI reports with their own exit code. Each error carries a `type`
+ * that is also written to the run summary.
+ */
+
+// Process exit codes, one per kind of outcome
+const EXIT_CODES = {
+    success: 0,
+    failure: 1, // Unexpected error
+    usage: 2, // Bad command line or job file
+    auth: 3, // Login failed or credentials missing
+    selector: 4, // The page markup no longer matches the selectors
+    partial: 5, // Some queries failed or were skipped
+    blocked: 6, // SearchFunder rate limited or blocked the run, or showed a captcha
+    interrupted: 130 // Stopped by Ctrl+C or SIGTERM, checkpoint saved
+};
+
+class ScraperError extends Error {
+    constructor(message, type = 'failure') {
+        super(message);
+        this.name = this.constructor.name;
+        this.type = type;
+    }
+}
+
+/**
+ * Login failed, or no credentials were given
+ */
+class AuthError extends ScraperError {
+    constructor(message) {
+        super(message, 'auth');
+    }
+}
+
+/**
+ * The session ended in the middle of a run, e.g. the directory redirected to the login form
+ */
+class LoggedOutError extends AuthError {}
+
+/**
+ * SearchFunder throttled or blocked the scraper. `kind` is 'rate_limit', 'captcha' or 'blocked'.
+ */
+class BlockedError extends ScraperError {
+    constructor(message, kind = 'blocked', retryAfterMs = null) {
+        super(message, 'blocked');
+        this.kind = kind;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * An expected element is missing or yields nothing, usually because SearchFunder changed its markup
+ */
+class SelectorError extends ScraperError {
+    constructor(message) {
+        super(message, 'selector');
+    }
+}
+
+/**
+ * The run was asked to stop (Ctrl+C or SIGTERM)
+ */
+class InterruptedError extends ScraperError {
+    constructor(message = 'The run was interrupted') {
+        super(message, 'interrupted');
+    }
+}
+
+/**
+ * Invalid command line arguments or job definition
+ */
+class UsageError extends ScraperError {
+    constructor(message) {
+        super(message, 'usage');
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    ScraperError,
+    AuthError,
+    LoggedOutError,
+    BlockedError,
+    SelectorError,
+    InterruptedError,
+    UsageError
+};
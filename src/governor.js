@@ -0,0 +1,284 @@
+const timers = require('timers/promises');
+const { isLoginPage } = require('./session');
+const { BlockedError, LoggedOutError, InterruptedError } = require('./errors');
+
+/**
+ * Request governor
+ * Every directory scroll, endpoint page and profile page of a query goes through one
+ * governor. It spaces the requests out (an interval plus random jitter), retries transient
+ * failures with exponential backoff, and watches for signs of being throttled or blocked:
+ * HTTP 429 and 403 responses, rate limit and captcha pages, and a session that ends mid-run.
+ * A rate limit pauses the run for as long as its Retry-After header asks (or `blockPauseMs`)
+ * and tries again, or aborts with `onBlock: 'abort'`; a captcha or a block aborts with a
+ * BlockedError, and the checkpoint is kept for a later resume.
+ * Once the run's abort `signal` fires (Ctrl+C), every wait ends and no new request starts.
+ * When several pages scrape at once, their governors also share one pacer: the global rate
+ * limit of the run, which a rate limit seen by any of them holds back for all.
+ */
+
+const DEFAULT_RATE_LIMIT = {
+    intervalMs: 1000, // Least time between two requests...
+    jitterMs: 500, // ...plus up to this much at random
+    retries: 3, // Attempts after the first for a transient failure
+    backoffMs: 2000, // First retry delay, doubled on every further attempt
+    maxBackoffMs: 60000,
+    onBlock: 'pause', // 'pause' waits out a rate limit and tries again, 'abort' stops the query
+    blockPauseMs: 10 * 60 * 1000,
+    maxBlockPauses: 3 // Rate limits waited out per query before giving up
+};
+
+const ON_BLOCK = ['pause', 'abort'];
+
+// Server errors and timeouts that are worth another try
+const TRANSIENT_STATUSES = new Set([408, 500, 502, 503, 504]);
+const TRANSIENT_MESSAGE = /net::ERR_|Navigation timeout|timed out|ECONNRESET|ECONNREFUSED|socket hang up|Execution context was destroyed/i;
+
+// What rate limit, captcha and block pages look like. Their text is only checked on short
+// pages, so a profile that happens to say "try again later" is not taken for one.
+const BLOCK_PAGE_SIGNS = {
+    captchaSelectors: [
+        'iframe[src*="recaptcha"]',
+        'iframe[src*="hcaptcha"]',
+        'iframe[src*="challenges.cloudflare.com"]',
+        '.g-recaptcha',
+        '.h-captcha',
+        '#challenge-form'
+    ],
+    captchaText: 'verify you are (a )?human|are you a robot|complete the captcha|security check',
+    rateLimitText: 'too many requests|rate limit|slow down|try again (in a few minutes|later)',
+    blockedText: 'access denied|you have been blocked|request blocked',
+    maxTextLength: 3000
+};
+
+/**
+ * Waits `ms`, ending early with an InterruptedError when `signal` is aborted
+ */
+async function sleep(ms, signal) {
+    try {
+        await timers.setTimeout(ms, undefined, { signal: signal || undefined });
+    } catch (error) {
+        if (error.name === 'AbortError') throw new InterruptedError();
+        throw error;
+    }
+}
+
+/**
+ * Milliseconds a Retry-After header value (seconds, or an HTTP date) asks to wait, or null
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function retryAfterOf(response) {
+    if (!response || typeof response.headers !== 'function') return null;
+    return parseRetryAfter((response.headers() || {})['retry-after']);
+}
+
+/**
+ * The block an HTTP status stands for, or null. A rate limit keeps the wait its
+ * response asked for as `retryAfterMs`.
+ */
+function blockForStatus(status, url = '', retryAfterMs = null) {
+    if (status === 429) return { kind: 'rate_limit', reason: `HTTP 429 for ${url}`, retryAfterMs };
+    if (status === 403) return { kind: 'blocked', reason: `HTTP 403 for ${url}` };
+    return null;
+}
+
+function isTransient(error) {
+    return TRANSIENT_STATUSES.has(error.status) || TRANSIENT_MESSAGE.test(error.message || '');
+}
+
+/**
+ * Looks for a captcha, rate limit or block page in the open page and in the response
+ * that loaded it. Returns { kind, reason, retryAfterMs } or null.
+ */
+async function detectBlock(page, response = null) {
+    const sign = await page.evaluate((signs) => {
+        if (signs.captchaSelectors.some(selector => document.querySelector(selector))) return { kind: 'captcha', reason: 'captcha on the page' };
+
+        const text = `${document.title}\n${document.body ? document.body.innerText : ''}`;
+        if (text.length > signs.maxTextLength) return null;
+        if (new RegExp(signs.captchaText, 'i').test(text)) return { kind: 'captcha', reason: 'captcha page' };
+        if (new RegExp(signs.rateLimitText, 'i').test(text)) return { kind: 'rate_limit', reason: 'rate limit page' };
+        if (new RegExp(signs.blockedText, 'i').test(text)) return { kind: 'blocked', reason: 'access denied page' };
+        return null;
+    }, BLOCK_PAGE_SIGNS).catch(() => null);
+
+    if (sign) return { ...sign, retryAfterMs: retryAfterOf(response) };
+    return response ? blockForStatus(response.status(), response.url(), retryAfterOf(response)) : null;
+}
+
+/**
+ * Creates a pacer: hands out request slots at least `intervalMs` (plus jitter) apart.
+ * Slots are reserved in call order, so concurrent callers queue up behind each other.
+ * hold(ms) pushes every slot back until `ms` from now.
+ */
+function createPacer({ intervalMs = DEFAULT_RATE_LIMIT.intervalMs, jitterMs = DEFAULT_RATE_LIMIT.jitterMs, signal = null } = {}) {
+    let nextAt = 0;
+    let heldUntil = 0;
+
+    return {
+        async wait() {
+            if (signal && signal.aborted) throw new InterruptedError();
+            const now = Date.now();
+            const slot = Math.max(now, nextAt, heldUntil);
+            nextAt = slot + intervalMs + Math.floor(Math.random() * jitterMs);
+            if (slot > now) await sleep(slot - now, signal);
+        },
+
+        hold(ms) {
+            heldUntil = Math.max(heldUntil, Date.now() + ms);
+        }
+    };
+}
+
+/**
+ * Creates the governor for one query (see DEFAULT_RATE_LIMIT for the options, plus the
+ * run's abort `signal` and the run's shared `pacer`, if any). `stats` counts the paced
+ * requests, directory scrolls, retries and rate limit pauses for the run summary.
+ */
+function createGovernor({ signal = null, pacer = null, ...options } = {}) {
+    const settings = { ...DEFAULT_RATE_LIMIT, ...options };
+    const stats = { requests: 0, scrolls: 0, retries: 0, blockPauses: 0 };
+    const ownPacer = createPacer({ intervalMs: settings.intervalMs, jitterMs: settings.jitterMs, signal });
+    let throttled = null;
+
+    const governor = {
+        settings,
+        stats,
+
+        /**
+         * Waits until the next request is due
+         */
+        async pace() {
+            await ownPacer.wait();
+            if (pacer) await pacer.wait();
+            stats.requests++;
+        },
+
+        /**
+         * A pacer for requests that keep a pace of their own (such as detail pages), whose
+         * waits end with the run's signal like the governor's
+         */
+        pacer({ intervalMs, jitterMs }) {
+            return createPacer({ intervalMs, jitterMs, signal });
+        },
+
+        /**
+         * Notes 429 and 403 answers to the page's own XHR requests (the infinite scroll),
+         * for the next check(). Returns a function that stops watching.
+         */
+        watch(page) {
+            const onResponse = (response) => {
+                if (!['xhr', 'fetch'].includes(response.request().resourceType())) return;
+                const block = blockForStatus(response.status(), response.url(), retryAfterOf(response));
+                if (block && !throttled) throttled = block;
+            };
+            page.on('response', onResponse);
+            return () => page.off('response', onResponse);
+        },
+
+        /**
+         * Throws when the page shows a block, or the session has ended (LoggedOutError)
+         */
+        async check(page, response = null) {
+            if (isLoginPage(page)) {
+                throw new LoggedOutError('The session ended mid-run: SearchFunder is showing the login form');
+            }
+            const block = throttled || await detectBlock(page, response);
+            throttled = null;
+            if (block) throw new BlockedError(`SearchFunder ${describe(block.kind)} (${block.reason})`, block.kind, block.retryAfterMs);
+        },
+
+        /**
+         * Runs `fn`, retrying transient failures with exponential backoff and waiting out
+         * rate limits as `onBlock` allows. Other errors are thrown straight away. An error
+         * with an HTTP `status` can carry the `retryAfterMs` its response asked for.
+         */
+        async retry(label, fn) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await fn();
+                } catch (error) {
+                    // A stopping run turns whatever failed (usually the closed browser) into the interruption
+                    if (signal && signal.aborted) throw error.type ? error : new InterruptedError();
+
+                    const block = error instanceof BlockedError
+                        ? { kind: error.kind, retryAfterMs: error.retryAfterMs }
+                        : blockForStatus(error.status, '', error.retryAfterMs);
+                    if (error.status === 401) {
+                        throw new LoggedOutError(`${label}: the session ended mid-run (HTTP 401)`);
+                    }
+
+                    if (block && block.kind === 'rate_limit' && settings.onBlock === 'pause' && stats.blockPauses < settings.maxBlockPauses) {
+                        const pauseMs = block.retryAfterMs ?? settings.blockPauseMs;
+                        stats.blockPauses++;
+                        if (pacer) pacer.hold(pauseMs);
+                        console.warn(`${label}: rate limited by SearchFunder; pausing ${Math.round(pauseMs / 1000)}s (${stats.blockPauses}/${settings.maxBlockPauses})`);
+                        await sleep(pauseMs, signal);
+                        attempt = -1;
+                        continue;
+                    }
+                    if (block) {
+                        throw error instanceof BlockedError ? error : new BlockedError(`${label}: SearchFunder ${describe(block.kind)} (${error.message})`, block.kind);
+                    }
+
+                    if (!isTransient(error) || attempt >= settings.retries) throw error;
+
+                    const delay = Math.min(settings.maxBackoffMs, settings.backoffMs * 2 ** attempt) + Math.floor(Math.random() * settings.jitterMs);
+                    stats.retries++;
+                    console.warn(`${label} failed (${error.message}); retry ${attempt + 1}/${settings.retries} in ${delay}ms`);
+                    await sleep(delay, signal);
+                }
+            }
+        },
+
+        /**
+         * Opens a URL at the governor's pace, checking the result for a block page.
+         * A login page is left to the caller, which knows how to log in again.
+         */
+        async navigate(page, url) {
+            return governor.retry(`Opening ${url}`, async () => {
+                await governor.pace();
+                const response = await page.goto(url, { waitUntil: 'networkidle2' });
+                if (response && TRANSIENT_STATUSES.has(response.status())) {
+                    const error = new Error(`HTTP ${response.status()} for ${url}`);
+                    error.status = response.status();
+                    throw error;
+                }
+                if (!isLoginPage(page)) await governor.check(page, response);
+                return response;
+            });
+        },
+
+        /**
+         * A url => JSON fetcher (see directoryApi.pageFetcher) that is paced and retried
+         */
+        fetcher(fetchJson) {
+            return (url) => governor.retry(`Fetching ${url}`, async () => {
+                await governor.pace();
+                return fetchJson(url);
+            });
+        }
+    };
+
+    return governor;
+}
+
+function describe(kind) {
+    return { rate_limit: 'is rate limiting the scraper', captcha: 'is asking for a captcha', blocked: 'has blocked the scraper' }[kind] || kind;
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT,
+    ON_BLOCK,
+    detectBlock,
+    parseRetryAfter,
+    sleep,
+    createPacer,
+    createGovernor
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { CARD_FIELDS, fieldNames } = require('./schema');
+
+/**
+ * Field health check
+ * Counts how often each field was filled during a run and compares the fill rates with
+ * the last healthy run of the same query. A sharp drop (say occupation going from 98%
+ * to 10%) usually means the card markup moved and a selector now reads the wrong
+ * element or nothing at all, so the run is flagged instead of silently writing bad columns.
+ */
+
+const DEFAULT_HEALTH_OPTIONS = {
+    maxDrop: 0.3, // Largest allowed fall in a field's fill rate against the baseline (0.3 = 30 points)
+    minProfiles: 20 // Runs with fewer new profiles are too small to judge
+};
+
+/**
+ * Path of the fill rate baseline that belongs to a query
+ */
+function healthBaselinePath(query) {
+    return path.join(query.outputDir, `${query.name}_field_health.json`);
+}
+
+/**
+ * Counts filled fields (and fields only found by a fallback rule) over the records of a run
+ */
+function createFillRateTracker(fields = fieldNames(CARD_FIELDS)) {
+    const filled = Object.fromEntries(fields.map(field => [field, 0]));
+    const fallback = Object.fromEntries(fields.map(field => [field, 0]));
+    let count = 0;
+
+    return {
+        add(cards) {
+            cards.forEach(({ record, fallbacks = {} }) => {
+                if (!record) return;
+                count++;
+                fields.forEach(field => {
+                    if (record[field]) filled[field]++;
+                    if (fallbacks[field] !== undefined) fallback[field]++;
+                });
+            });
+        },
+
+        get count() {
+            return count;
+        },
+
+        fillRates() {
+            return ratesOf(filled, count);
+        },
+
+        fallbackRates() {
+            return ratesOf(fallback, count);
+        }
+    };
+}
+
+function ratesOf(counts, total) {
+    const rates = {};
+    Object.entries(counts).forEach(([field, n]) => {
+        rates[field] = total > 0 ? Math.round((n / total) * 1000) / 1000 : 0;
+    });
+    return rates;
+}
+
+/**
+ * Compares a run's fill rates with the query's baseline and the selector map's minimums.
+ * A healthy run becomes the new baseline; a degraded one leaves the baseline alone.
+ */
+function checkFieldHealth(query, tracker, selectors, { now = new Date() } = {}) {
+    const options = { ...DEFAULT_HEALTH_OPTIONS, ...query.health };
+    const baselineFile = healthBaselinePath(query);
+    const fillRates = tracker.fillRates();
+
+    const health = {
+        status: 'ok',
+        selectorVersion: selectors.version,
+        profiles: tracker.count,
+        fillRates,
+        fallbackRates: tracker.fallbackRates(),
+        baseline: null,
+        problems: []
+    };
+
+    if (tracker.count < options.minProfiles) {
+        health.status = 'skipped';
+        console.log(`Field health check skipped: ${tracker.count} new profiles (needs ${options.minProfiles})`);
+        return health;
+    }
+
+    // A baseline from another selector map version describes different rules. A damaged
+    // one is as good as none: this run becomes the baseline if it is healthy.
+    let baseline = null;
+    if (fs.existsSync(baselineFile)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+            if (!saved || typeof saved.fillRates !== 'object' || saved.fillRates === null) throw new Error('no fill rates');
+            if (saved.selectorVersion === selectors.version) baseline = saved;
+        } catch (error) {
+            console.warn(`Field health baseline ${baselineFile} is unreadable (${error.message}); checking without one`);
+        }
+    }
+
+    Object.entries(fillRates).forEach(([field, rate]) => {
+        const minimum = selectors.minFillRates && selectors.minFillRates[field];
+        if (minimum !== undefined && rate < minimum) {
+            health.problems.push({ field, rate, expected: minimum, reason: 'below minimum fill rate' });
+        }
+        if (baseline && baseline.fillRates[field] !== undefined && baseline.fillRates[field] - rate > options.maxDrop) {
+            health.problems.push({ field, rate, expected: baseline.fillRates[field], reason: 'dropped against the last healthy run' });
+        }
+    });
+
+    if (baseline) health.baseline = { file: baselineFile, recordedAt: baseline.recordedAt, profiles: baseline.profiles };
+
+    if (health.problems.length > 0) {
+        health.status = 'degraded';
+        health.problems.forEach(problem => {
+            console.warn(`Field health: "${problem.field}" filled for ${pct(problem.rate)} of profiles, expected ${pct(problem.expected)} (${problem.reason})`);
+        });
+        console.warn('The directory markup may have changed; check the selector map against the page.');
+        return health;
+    }
+
+    fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+    fs.writeFileSync(baselineFile, JSON.stringify({
+        query: query.name,
+        selectorVersion: selectors.version,
+        recordedAt: now.toISOString(),
+        profiles: tracker.count,
+        fillRates
+    }, null, 2));
+    console.log(`Field health ok (${tracker.count} profiles); baseline updated in ${baselineFile}`);
+
+    return health;
+}
+
+function pct(rate) {
+    return `${Math.round(rate * 100)}%`;
+}
+
+module.exports = {
+    DEFAULT_HEALTH_OPTIONS,
+    healthBaselinePath,
+    createFillRateTracker,
+    checkFieldHealth
+};
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { buildDirectoryUrl, parseDirectoryUrl, validateFilters } = require('./directoryUrl');
+const { DEFAULT_SINKS, validateSinkTypes } = require('./sinks');
+const { loadSelectorMap } = require('./selectors');
+const { PROFILE_URL_TEMPLATE } = require('./enrichment');
+const { ON_BLOCK } = require('./governor');
+const { loadFieldMap } = require('./crm');
+const { UsageError } = require('./errors');
+
+/**
+ * Job file handling
+ * A job file lists named directory queries that are scraped one after another
+ * in a single browser session. JSON and YAML job files are both supported.
+ * Each query gives either a directory `url` or structured `filters`
+ * (roles, city, lat, lng, regions, and `extra` for any other parameter) that are turned into one.
+ * Setting `enrich` (per query or for the whole job) adds the profile detail pass,
+ * and `sync` diffs each completed dataset against the query's history.
+ * `sinks` picks the output formats (csv, jsonl, sqlite, xlsx), per query or for the whole job.
+ * `selectors` points to a selectors file laid over the built-in selector map, and `health`
+ * tunes the field fill rate check ({ maxDrop, minProfiles }).
+ * `mode` is 'dom' (scroll and read the cards, the default) or 'network' (build the records
+ * from the directory's JSON responses), and `recordResponses` saves those responses to a directory.
+ * `rateLimit` tunes the request governor: retries, backoff and what to do when SearchFunder
+ * rate limits or blocks the run (see governor.js).
+ * `webhook` (a URL, or { url, secret, batchSize, retries, fieldMap, ledger, deadLetter })
+ * also delivers new and changed profiles to a webhook (see webhook.js).
+ * `concurrency` (job level) runs that many queries at once, and lends idle pages to the
+ * enrichment pass (see workerPool.js).
+ * Nothing here reads the environment; `defaults` (selectors, mode, profileUrlTemplate,
+ * webhookSecret) fill in what the job leaves out, which is how the CLI applies .env.
+ */
+
+const DEFAULT_OUTPUT_DIR = 'output';
+const DEFAULT_CHECKPOINT_DIR = 'checkpoints';
+
+const SCRAPE_MODES = ['dom', 'network'];
+
+/**
+ * Reads and validates a job file, filling in per-query defaults.
+ * Job-level settings in `overrides` (e.g. outputDir from the command line) replace the file's;
+ * `defaults` only apply where neither sets a value.
+ */
+function loadJobFile(jobFile, overrides = {}, defaults = {}) {
+    if (!fs.existsSync(jobFile)) {
+        throw new UsageError(`Job file not found: ${jobFile}`);
+    }
+
+    const raw = fs.readFileSync(jobFile, 'utf8');
+    const ext = path.extname(jobFile).toLowerCase();
+
+    let job;
+    try {
+        job = (ext === '.yaml' || ext === '.yml') ? yaml.load(raw) : JSON.parse(raw);
+    } catch (error) {
+        throw new UsageError(`Could not parse job file ${jobFile}: ${error.message}`);
+    }
+
+    return normalizeJob({ ...job, ...overrides }, jobFile, defaults);
+}
+
+/**
+ * Validates a job definition and resolves output and checkpoint paths for each query
+ */
+function normalizeJob(job, source = 'job', defaults = {}) {
+    if (!job || !Array.isArray(job.queries) || job.queries.length === 0) {
+        throw new UsageError(`${source} must define a non-empty "queries" list`);
+    }
+
+    const outputDir = job.outputDir || DEFAULT_OUTPUT_DIR;
+    const concurrency = job.concurrency !== undefined ? Number(job.concurrency) : 1;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new UsageError(`${source}: "concurrency" must be a whole number of 1 or more (got "${job.concurrency}")`);
+    }
+    const checkpointDir = job.checkpointDir || DEFAULT_CHECKPOINT_DIR;
+    const seenNames = new Set();
+    const selectors = loadSelectorMap(job.selectors || defaults.selectors);
+
+    const queries = job.queries.map((query, i) => {
+        if (!query || !query.name) {
+            throw new UsageError(`Query #${i + 1} in ${source} is missing a "name"`);
+        }
+        if (!/^[\w.-]+$/.test(query.name)) {
+            throw new UsageError(`Query name "${query.name}" may only contain letters, digits, "_", "-" and "."`);
+        }
+        if (seenNames.has(query.name)) {
+            throw new UsageError(`Duplicate query name "${query.name}" in ${source}`);
+        }
+        seenNames.add(query.name);
+
+        if (!query.url && !query.filters) {
+            throw new UsageError(`Query "${query.name}" needs either a "url" or "filters"`);
+        }
+        if (query.url && query.filters) {
+            throw new UsageError(`Query "${query.name}" should give a "url" or "filters", not both`);
+        }
+
+        let url;
+        let filters;
+        try {
+            url = query.url || buildDirectoryUrl(query.filters);
+            filters = parseDirectoryUrl(url);
+        } catch (error) {
+            throw new UsageError(`Query "${query.name}": ${error.message}`);
+        }
+        validateFilters(filters).warnings.forEach(warning => console.warn(`Query "${query.name}": ${warning}`));
+
+        let sinks;
+        try {
+            sinks = validateSinkTypes(query.sinks || job.sinks || DEFAULT_SINKS);
+        } catch (error) {
+            throw new UsageError(`Query "${query.name}": ${error.message}`);
+        }
+
+        const mode = query.mode || job.mode || defaults.mode || 'dom';
+        if (!SCRAPE_MODES.includes(mode)) {
+            throw new UsageError(`Query "${query.name}": unknown mode "${mode}". Modes: ${SCRAPE_MODES.join(', ')}`);
+        }
+
+        const rateLimit = { ...job.rateLimit, ...query.rateLimit };
+        if (rateLimit.onBlock && !ON_BLOCK.includes(rateLimit.onBlock)) {
+            throw new UsageError(`Query "${query.name}": rateLimit.onBlock must be one of ${ON_BLOCK.join(', ')}`);
+        }
+
+        return {
+            ...query,
+            url,
+            filters,
+            sinks,
+            output: query.output || null, // Base filename for every sink; timestamped under outputDir when not set
+            outputDir: query.outputDir || outputDir,
+            enrich: query.enrich !== undefined ? query.enrich : (job.enrich || false), // true or { minDelayMs, maxDelayMs, batchSize, maxAttempts }
+            sync: query.sync !== undefined ? query.sync : (job.sync || false),
+            maxProfiles: query.maxProfiles || job.maxProfiles || null, // Stop (keeping the checkpoint) after this many profiles
+            delays: { ...job.delays, ...query.delays }, // { scrollMs, pauseMs, jitterMs }
+            selectors,
+            health: { ...job.health, ...query.health }, // { maxDrop, minProfiles }
+            mode,
+            recordResponses: query.recordResponses || job.recordResponses || null, // Directory for the raw JSON responses
+            profileUrlTemplate: query.profileUrlTemplate || job.profileUrlTemplate || defaults.profileUrlTemplate || PROFILE_URL_TEMPLATE,
+            rateLimit, // { intervalMs, jitterMs, retries, backoffMs, maxBackoffMs, onBlock, blockPauseMs, maxBlockPauses }
+            webhook: resolveWebhook(query.webhook !== undefined ? query.webhook : job.webhook, query, query.outputDir || outputDir, defaults),
+            checkpoint: query.checkpoint || path.join(checkpointDir, `${query.name}.checkpoint.json`)
+        };
+    });
+
+    return { ...job, outputDir, checkpointDir, concurrency, queries };
+}
+
+/**
+ * Validates a query's webhook settings and fills in the ledger and dead-letter files,
+ * which sit next to the query's output. Returns null when the query has no webhook.
+ */
+function resolveWebhook(webhook, query, outputDir, defaults) {
+    if (!webhook) return null;
+
+    const settings = typeof webhook === 'string' ? { url: webhook } : { ...webhook };
+    try {
+        if (!/^https?:$/.test(new URL(settings.url).protocol)) throw new Error('not an http(s) URL');
+    } catch (error) {
+        throw new UsageError(`Query "${query.name}": webhook.url "${settings.url}" is not valid (${error.message})`);
+    }
+
+    return {
+        ...settings,
+        query: query.name,
+        secret: settings.secret || defaults.webhookSecret || null,
+        fieldMap: typeof settings.fieldMap === 'string' ? loadFieldMap(settings.fieldMap) : settings.fieldMap || null,
+        ledger: settings.ledger || path.join(outputDir, `${query.name}_webhook_delivered.json`),
+        deadLetter: settings.deadLetter || path.join(outputDir, `${query.name}_webhook_dead_letter.jsonl`)
+    };
+}
+
+/**
+ * Writes the run summary with per-query counts, durations and failures
+ */
+function writeRunSummary(summary, outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const timestamp = new Date(summary.startedAt).toISOString().replace(/[:.]/g, '-');
+    const filename = path.join(outputDir, `run_summary_${timestamp}.json`);
+
+    fs.writeFileSync(filename, JSON.stringify(summary, null, 2));
+    console.log(`Run summary written to ${filename}`);
+
+    return filename;
+}
+
+module.exports = {
+    SCRAPE_MODES,
+    loadJobFile,
+    normalizeJob,
+    resolveWebhook,
+    writeRunSummary
+};
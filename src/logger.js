@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { UsageError } = require('./errors');
+
+/**
+ * Logging
+ * The scraper logs through console.debug / log / info / warn / error. installLogger()
+ * puts levels on those calls and can write them as JSON lines instead of text:
+ *   { "time": "...", "level": "info", "msg": "...", "runId": "...", "query": "nyc-searchers" }
+ * Fields set with withLogContext() (the run ID, the query being scraped) are added to
+ * every entry logged inside it, including from queries running at the same time.
+ * An error passed to a log call is kept as `error` ({ name, message, type, stack }).
+ * With a log file every entry is also appended there as JSON, whatever the format.
+ */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_FORMATS = ['text', 'json'];
+
+// Level of each console method
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with `fields` added to every log entry made inside it
+ */
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function describeError(error) {
+    const described = { name: error.name, message: error.message };
+    if (error.type) described.type = error.type;
+    if (error.kind) described.kind = error.kind;
+    described.stack = error.stack;
+    return described;
+}
+
+/**
+ * The log entry for one console call
+ */
+function logEntry(level, args) {
+    const error = args.find(arg => arg instanceof Error);
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: util.format(...args.map(arg => (arg instanceof Error ? arg.message : arg))).trim(),
+        ...context.getStore()
+    };
+    if (error) entry.error = describeError(error);
+    return entry;
+}
+
+/**
+ * Routes the console methods through the logger. Options: format (text or json), level
+ * (the least level written) and file (a JSON log file). Returns a function that puts the
+ * console back.
+ */
+function installLogger({ format = 'text', level = 'info', file = null } = {}) {
+    if (!LOG_FORMATS.includes(format)) throw new UsageError(`Unknown log format "${format}". Choose from: ${LOG_FORMATS.join(', ')}`);
+    if (!LOG_LEVELS[level]) throw new UsageError(`Unknown log level "${level}". Choose from: ${Object.keys(LOG_LEVELS).join(', ')}`);
+
+    const original = {};
+    if (file) fs.mkdirSync(path.dirname(file), { recursive: true });
+
+    Object.entries(CONSOLE_LEVELS).forEach(([method, methodLevel]) => {
+        original[method] = console[method];
+        const write = original[method];
+
+        console[method] = (...args) => {
+            if (LOG_LEVELS[methodLevel] < LOG_LEVELS[level]) return;
+            if (format === 'text' && !file) {
+                write(...args);
+                return;
+            }
+
+            const entry = logEntry(methodLevel, args);
+            if (file) fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+            if (format === 'json') write(JSON.stringify(entry));
+            else write(...args);
+        };
+    });
+
+    return () => Object.assign(console, original);
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    withLogContext,
+    installLogger
+};
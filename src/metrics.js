@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Run metrics
+ * After every run a line of metrics is appended to <outputDir>/run_history.jsonl, so runs
+ * can be compared over time: duration, profiles per minute, directory scrolls, requests and
+ * retries, field fill rates and errors by type, for the run and for each query.
+ * The run summary (see jobs.js) keeps the full detail of a single run.
+ */
+
+const RUN_HISTORY_FILE = 'run_history.jsonl';
+
+const perMinute = (count, durationMs) => (durationMs > 0 ? Math.round((count / durationMs) * 60000 * 100) / 100 : 0);
+
+/**
+ * Fill rates of several queries, weighted by the profiles each one read
+ */
+function combineFillRates(queries) {
+    const totals = {};
+    let count = 0;
+    queries.forEach(query => {
+        const rates = query.health && query.health.fillRates;
+        const profiles = query.profilesScraped || 0;
+        if (!rates || profiles === 0) return;
+        count += profiles;
+        Object.entries(rates).forEach(([field, rate]) => { totals[field] = (totals[field] || 0) + rate * profiles; });
+    });
+
+    const combined = {};
+    Object.entries(totals).forEach(([field, total]) => { combined[field] = Math.round((total / count) * 1000) / 1000; });
+    return combined;
+}
+
+/**
+ * Status of a whole run. Queries that failed, or were skipped because the run stopped
+ * early, make it partial (as they do the exit code, see cli.js).
+ */
+function runStatus(summary) {
+    if (summary.interrupted) return 'interrupted';
+    if (summary.errorType) return 'failed';
+    if (summary.queries.some(query => query.status === 'failed' || query.status === 'skipped')) return 'partial';
+    return 'completed';
+}
+
+/**
+ * The metrics of one run, from its run summary
+ */
+function buildRunMetrics(summary) {
+    const queries = summary.queries.map(query => {
+        const requests = query.requests || {};
+        return {
+            name: query.name,
+            status: query.status,
+            profiles: query.profilesScraped || 0,
+            profilesPerMinute: perMinute(query.profilesScraped || 0, query.durationMs),
+            scrolls: requests.scrolls || 0,
+            requests: requests.requests || 0,
+            retries: requests.retries || 0,
+            fillRates: query.health ? query.health.fillRates : {},
+            durationMs: query.durationMs || 0,
+            errorType: query.errorType || null
+        };
+    });
+
+    const errorsByType = {};
+    const countError = (type, count = 1) => { errorsByType[type] = (errorsByType[type] || 0) + count; };
+    if (summary.errorType) countError(summary.errorType);
+    summary.queries.forEach(query => {
+        if (query.errorType) countError(query.errorType);
+        if (query.enrichmentFailures) countError('enrichment', query.enrichmentFailures);
+    });
+
+    const sum = key => queries.reduce((total, query) => total + query[key], 0);
+    const profiles = sum('profiles');
+
+    return {
+        runId: summary.runId,
+        startedAt: summary.startedAt,
+        finishedAt: summary.finishedAt,
+        durationMs: summary.durationMs,
+        status: runStatus(summary),
+        concurrency: summary.concurrency,
+        profiles,
+        profilesPerMinute: perMinute(profiles, summary.durationMs),
+        scrolls: sum('scrolls'),
+        requests: sum('requests'),
+        retries: sum('retries'),
+        fillRates: combineFillRates(summary.queries),
+        errorsByType,
+        queries
+    };
+}
+
+/**
+ * Appends the run's metrics to the run history file of `outputDir`.
+ * Returns the history filename.
+ */
+function appendRunHistory(summary, outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const filename = path.join(outputDir, RUN_HISTORY_FILE);
+    fs.appendFileSync(filename, JSON.stringify(buildRunMetrics(summary)) + '\n');
+    return filename;
+}
+
+module.exports = {
+    RUN_HISTORY_FILE,
+    buildRunMetrics,
+    appendRunHistory
+};
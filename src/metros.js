@@ -0,0 +1,169 @@
+const zipcodes = require('zipcodes');
+
+/**
+ * Metro areas
+ * Where a profile's city lies, for reports: the metro area of a city and state, and the
+ * coordinates of a profile for radius filters. Cities outside these metros have no metro;
+ * the report counts them as "Other". Coordinates come from the profile's ZIP or postal code,
+ * then from its city and state (US and Canadian postal data from the zipcodes package), then
+ * from its metro's center. Locations such as a county or a lone state cannot be placed.
+ */
+
+const METROS = [
+    {
+        name: 'New York', lat: 40.7128, lng: -74.0060,
+        cities: {
+            NY: ['New York', 'New York City', 'Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island', 'Long Island City', 'Yonkers', 'White Plains', 'New Rochelle', 'Scarsdale', 'Rye', 'Larchmont', 'Bronxville'],
+            NJ: ['Jersey City', 'Hoboken', 'Newark', 'Montclair', 'Summit', 'Morristown', 'Westfield', 'Princeton', 'Short Hills', 'Ridgewood'],
+            CT: ['Stamford', 'Greenwich', 'Darien', 'Westport', 'Norwalk', 'New Canaan']
+        }
+    },
+    {
+        name: 'Boston', lat: 42.3601, lng: -71.0589,
+        cities: { MA: ['Boston', 'Cambridge', 'Somerville', 'Brookline', 'Newton', 'Wellesley', 'Waltham', 'Needham', 'Lexington', 'Quincy', 'Concord', 'Dedham'] }
+    },
+    {
+        name: 'San Francisco Bay Area', lat: 37.7749, lng: -122.4194,
+        cities: { CA: ['San Francisco', 'Oakland', 'Berkeley', 'Palo Alto', 'Menlo Park', 'Mountain View', 'San Jose', 'Redwood City', 'San Mateo', 'Sunnyvale', 'Sausalito', 'Mill Valley', 'Walnut Creek', 'Burlingame'] }
+    },
+    {
+        name: 'Los Angeles', lat: 34.0522, lng: -118.2437,
+        cities: { CA: ['Los Angeles', 'Santa Monica', 'Pasadena', 'Beverly Hills', 'Culver City', 'Burbank', 'Long Beach', 'Manhattan Beach', 'Irvine', 'Newport Beach', 'Malibu'] }
+    },
+    {
+        name: 'San Diego', lat: 32.7157, lng: -117.1611,
+        cities: { CA: ['San Diego', 'La Jolla', 'Del Mar', 'Carlsbad', 'Encinitas'] }
+    },
+    {
+        name: 'Chicago', lat: 41.8781, lng: -87.6298,
+        cities: { IL: ['Chicago', 'Evanston', 'Oak Park', 'Naperville', 'Wilmette', 'Winnetka', 'Lake Forest', 'Highland Park', 'Hinsdale', 'Schaumburg'] }
+    },
+    {
+        name: 'Washington', lat: 38.9072, lng: -77.0369,
+        cities: { DC: ['Washington'], VA: ['Arlington', 'Alexandria', 'McLean', 'Reston', 'Tysons', 'Vienna', 'Fairfax'], MD: ['Bethesda', 'Silver Spring', 'Chevy Chase', 'Rockville', 'Potomac'] }
+    },
+    {
+        name: 'Philadelphia', lat: 39.9526, lng: -75.1652,
+        cities: { PA: ['Philadelphia', 'Bryn Mawr', 'Radnor', 'Wayne', 'Conshohocken', 'King of Prussia'] }
+    },
+    {
+        name: 'Dallas-Fort Worth', lat: 32.7767, lng: -96.7970,
+        cities: { TX: ['Dallas', 'Fort Worth', 'Plano', 'Frisco', 'Irving', 'Arlington', 'Addison', 'Southlake', 'McKinney'] }
+    },
+    {
+        name: 'Houston', lat: 29.7604, lng: -95.3698,
+        cities: { TX: ['Houston', 'The Woodlands', 'Sugar Land', 'Katy', 'Bellaire'] }
+    },
+    {
+        name: 'Austin', lat: 30.2672, lng: -97.7431,
+        cities: { TX: ['Austin', 'Round Rock', 'Cedar Park', 'Georgetown'] }
+    },
+    {
+        name: 'Atlanta', lat: 33.7490, lng: -84.3880,
+        cities: { GA: ['Atlanta', 'Alpharetta', 'Marietta', 'Decatur', 'Roswell', 'Sandy Springs'] }
+    },
+    {
+        name: 'Miami', lat: 25.7617, lng: -80.1918,
+        cities: { FL: ['Miami', 'Miami Beach', 'Coral Gables', 'Fort Lauderdale', 'Boca Raton', 'West Palm Beach', 'Palm Beach'] }
+    },
+    {
+        name: 'Denver', lat: 39.7392, lng: -104.9903,
+        cities: { CO: ['Denver', 'Boulder', 'Englewood', 'Greenwood Village', 'Littleton', 'Aurora'] }
+    },
+    {
+        name: 'Seattle', lat: 47.6062, lng: -122.3321,
+        cities: { WA: ['Seattle', 'Bellevue', 'Redmond', 'Kirkland', 'Mercer Island'] }
+    },
+    {
+        name: 'Minneapolis-St. Paul', lat: 44.9778, lng: -93.2650,
+        cities: { MN: ['Minneapolis', 'St. Paul', 'Saint Paul', 'Edina', 'Wayzata', 'Minnetonka'] }
+    },
+    {
+        name: 'Nashville', lat: 36.1627, lng: -86.7816,
+        cities: { TN: ['Nashville', 'Franklin', 'Brentwood'] }
+    },
+    {
+        name: 'Charlotte', lat: 35.2271, lng: -80.8431,
+        cities: { NC: ['Charlotte', 'Davidson', 'Huntersville'] }
+    },
+    {
+        name: 'Raleigh-Durham', lat: 35.7796, lng: -78.6382,
+        cities: { NC: ['Raleigh', 'Durham', 'Chapel Hill', 'Cary'] }
+    },
+    {
+        name: 'Phoenix', lat: 33.4484, lng: -112.0740,
+        cities: { AZ: ['Phoenix', 'Scottsdale', 'Tempe', 'Mesa', 'Chandler', 'Paradise Valley'] }
+    },
+    {
+        name: 'Salt Lake City', lat: 40.7608, lng: -111.8910,
+        cities: { UT: ['Salt Lake City', 'Park City', 'Provo', 'Lehi', 'Draper'] }
+    },
+    {
+        name: 'Toronto', lat: 43.6532, lng: -79.3832,
+        cities: { ON: ['Toronto', 'Mississauga', 'Oakville', 'Markham', 'Vaughan'] }
+    }
+];
+
+// "city|STATE" in lower case => metro
+const METRO_BY_CITY = new Map(METROS.flatMap(metro =>
+    Object.entries(metro.cities).flatMap(([state, cities]) => cities.map(city => [`${city.toLowerCase()}|${state.toLowerCase()}`, metro]))
+));
+
+/**
+ * Metro area of a city and state code, or null
+ */
+function metroOf(city, state) {
+    if (!city) return null;
+    return METRO_BY_CITY.get(`${city.trim().toLowerCase()}|${(state || '').trim().toLowerCase()}`) || null;
+}
+
+/**
+ * Coordinates of a profile's location ({ city, state, zip }) as { lat, lng, source }, where
+ * source is 'zip', 'city' or 'metro', or null when it cannot be placed
+ */
+function locate({ city, state, zip }) {
+    const byZip = zip ? zipcodes.lookup(zip) : null;
+    if (byZip) return { lat: byZip.latitude, lng: byZip.longitude, source: 'zip' };
+    if (!city) return null;
+
+    // "Short Hills, Millburn": the first part names the place
+    const names = Array.from(new Set([city.trim(), city.split(',')[0].trim()]));
+    for (const name of names) {
+        const [byCity] = state ? zipcodes.lookupByName(name, state) : [];
+        if (byCity) return { lat: byCity.latitude, lng: byCity.longitude, source: 'city' };
+
+        const metro = metroOf(name, state);
+        if (metro) return { lat: metro.lat, lng: metro.lng, source: 'metro' };
+    }
+    return null;
+}
+
+/**
+ * Metro area by name (case-insensitive, a unique prefix is enough), or null
+ */
+function findMetro(name) {
+    const wanted = name.trim().toLowerCase();
+    const exact = METROS.find(metro => metro.name.toLowerCase() === wanted);
+    if (exact) return exact;
+    const matches = METROS.filter(metro => metro.name.toLowerCase().startsWith(wanted));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Great-circle distance between two points, in miles
+ */
+function distanceMiles(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 3958.8 * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+    METROS,
+    metroOf,
+    locate,
+    findMetro,
+    distanceMiles
+};
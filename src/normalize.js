@@ -0,0 +1,222 @@
+/**
+ * Record normalization
+ * Cleans scraped records before they reach any sink: canonical LinkedIn URLs (and
+ * LinkedIn links moved out of the website column), locations parsed into city, state,
+ * ZIP and country, universities split into a list, and occupations mapped to a role
+ * category. URLs it rewrites keep the scraped value in `linkedIn_url_raw` and
+ * `website_url_raw`; location, occupation and uni_name stay as scraped next to the
+ * parsed columns. Normalizing a record twice gives the same result.
+ */
+
+// Role categories, checked in order against the occupation text. A "search fund" is the
+// searcher's own vehicle, so it does not make an investor; "search fund investor" still does.
+const ROLE_CATEGORIES = [
+    { category: 'self_funded_searcher', pattern: /self[\s-]*funded/i },
+    { category: 'solo_searcher', pattern: /\bsolo\b/i },
+    { category: 'partnered_searcher', pattern: /\bpartnered\b|search partner|co-?searcher/i },
+    { category: 'traditional_searcher', pattern: /\btraditional\b/i },
+    { category: 'investor', pattern: /investor|limited partner|\blp\b|family office|private equity|independent sponsor|(?<!search[\s-]*)\bfund\b/i },
+    { category: 'operator', pattern: /operator|\bceo\b|\bowner\b|post[\s-]*acquisition|acquired/i },
+    { category: 'advisor', pattern: /advis|lender|broker|attorney|lawyer|accountant|banker|investment banking|consult|\bcpa\b|service provider/i },
+    { category: 'student', pattern: /student|\bmba\b/i },
+    { category: 'searcher', pattern: /search|\beta\b/i }
+];
+
+const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+    VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+const CANADIAN_PROVINCES = {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island',
+    QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+// Ways a country is written, lower case, mapped to one name
+const COUNTRY_ALIASES = {
+    'usa': 'United States', 'us': 'United States', 'u.s.': 'United States', 'u.s.a.': 'United States',
+    'united states': 'United States', 'united states of america': 'United States',
+    'estados unidos': 'United States', 'ee. uu.': 'United States', 'ee.uu.': 'United States',
+    'canada': 'Canada',
+    'uk': 'United Kingdom', 'u.k.': 'United Kingdom', 'united kingdom': 'United Kingdom', 'great britain': 'United Kingdom',
+    'england': 'United Kingdom', 'scotland': 'United Kingdom', 'wales': 'United Kingdom'
+};
+
+const STATE_CODES_BY_NAME = Object.fromEntries(
+    [...Object.entries(US_STATES), ...Object.entries(CANADIAN_PROVINCES)].map(([code, name]) => [name.toLowerCase(), code])
+);
+
+/**
+ * Trims a value and collapses runs of whitespace; empty values become null
+ */
+function cleanText(value) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    return text || null;
+}
+
+function parseUrl(value) {
+    const text = cleanText(value);
+    if (!text) return null;
+    try {
+        return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    } catch (error) {
+        return null;
+    }
+}
+
+function isLinkedInUrl(value) {
+    const url = parseUrl(value);
+    return Boolean(url) && /(^|\.)linkedin\.com$/i.test(url.hostname);
+}
+
+/**
+ * Canonical LinkedIn URL: https, www.linkedin.com, lower-case path, no query or trailing slash.
+ * Anything that is not a LinkedIn URL is returned cleaned but unchanged.
+ */
+function canonicalLinkedInUrl(value) {
+    const url = parseUrl(value);
+    if (!url || !isLinkedInUrl(value)) return cleanText(value);
+
+    let pathname = url.pathname;
+    try {
+        pathname = decodeURIComponent(pathname);
+    } catch (error) {
+        // Keep malformed escapes as they are
+    }
+    return `https://www.linkedin.com${pathname.toLowerCase().replace(/\/+$/, '')}`;
+}
+
+/**
+ * Website URL with a scheme, lower-case host and no trailing slash on a bare domain
+ */
+function canonicalWebsiteUrl(value) {
+    const url = parseUrl(value);
+    if (!url) return cleanText(value);
+
+    url.hostname = url.hostname.toLowerCase();
+    url.hash = '';
+    return url.pathname === '/' && !url.search ? url.origin : url.href;
+}
+
+/**
+ * Splits a free-text location ("New York, NY 10001", "Toronto, ON, Canada", "London, UK")
+ * into city, state, ZIP and country. Parts it does not recognise stay in the city.
+ */
+function parseLocation(value) {
+    const location = { city: null, state: null, zip: null, country: null };
+    const text = cleanText(value);
+    if (!text) return location;
+
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+
+    const countryPart = parts.length > 1 ? COUNTRY_ALIASES[parts[parts.length - 1].toLowerCase()] : null;
+    if (countryPart) {
+        location.country = countryPart;
+        parts.pop();
+    }
+
+    if (parts.length > 1) {
+        // "NY", "NY 10001", "New York", "10001", or "ON M5V 2T6"
+        const match = parts[parts.length - 1].match(/^([A-Za-z .]+?)?\s*(\d{5}(?:-\d{4})?|[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d)?$/);
+        const region = match && match[1] ? match[1].trim() : null;
+        const code = region && (region.length === 2 ? region.toUpperCase() : STATE_CODES_BY_NAME[region.toLowerCase()]);
+
+        const known = Boolean(code && (US_STATES[code] || CANADIAN_PROVINCES[code]));
+
+        if (match && (known || (!region && match[2]))) {
+            location.state = code || null;
+            location.zip = match[2] ? match[2].toUpperCase() : null;
+            if (!location.country && code) location.country = US_STATES[code] ? 'United States' : 'Canada';
+            parts.pop();
+        }
+    }
+
+    // "New Jersey, USA": with the country given, a lone state name is the state
+    if (parts.length === 1 && location.country && !location.state && STATE_CODES_BY_NAME[parts[0].toLowerCase()]) {
+        location.state = STATE_CODES_BY_NAME[parts[0].toLowerCase()];
+        parts.pop();
+    }
+
+    location.city = parts.length > 0 ? parts.join(', ') : null;
+    return location;
+}
+
+/**
+ * Universities joined with "; " (or one per line) as a list without duplicates
+ */
+function splitUniversities(value) {
+    if (Array.isArray(value)) return value.map(cleanText).filter(Boolean);
+    const text = value === undefined || value === null ? '' : String(value);
+    const names = text.split(/;|\n/).map(cleanText).filter(Boolean);
+    return Array.from(new Set(names));
+}
+
+/**
+ * Role category of an occupation, or null when there is no occupation
+ */
+function roleCategory(occupation) {
+    const text = cleanText(occupation);
+    if (!text) return null;
+    const match = ROLE_CATEGORIES.find(({ pattern }) => pattern.test(text));
+    return match ? match.category : 'other';
+}
+
+/**
+ * Cleans one scraped record and adds the parsed columns
+ */
+function normalizeRecord(record) {
+    const normalized = {};
+    Object.entries(record).forEach(([field, value]) => {
+        normalized[field] = typeof value === 'string' ? cleanText(value) : value;
+    });
+
+    const linkedInRaw = record.linkedIn_url_raw !== undefined ? record.linkedIn_url_raw : cleanText(record.linkedIn_url);
+    const websiteRaw = record.website_url_raw !== undefined ? record.website_url_raw : cleanText(record.website_url);
+
+    // A LinkedIn link in the website column (or a website in the LinkedIn column) is moved across
+    let linkedIn = cleanText(record.linkedIn_url);
+    let website = cleanText(record.website_url);
+    if (linkedIn && !isLinkedInUrl(linkedIn)) {
+        website = website || linkedIn;
+        linkedIn = null;
+    }
+    if (website && isLinkedInUrl(website)) {
+        linkedIn = linkedIn || website;
+        website = null;
+    }
+
+    const location = parseLocation(record.location);
+
+    return {
+        ...normalized,
+        linkedIn_url: linkedIn ? canonicalLinkedInUrl(linkedIn) : null,
+        website_url: website ? canonicalWebsiteUrl(website) : null,
+        role_category: roleCategory(record.occupation),
+        city: location.city,
+        state: location.state,
+        zip: location.zip,
+        country: location.country,
+        universities: splitUniversities(record.uni_name),
+        linkedIn_url_raw: linkedInRaw || null,
+        website_url_raw: websiteRaw || null
+    };
+}
+
+module.exports = {
+    ROLE_CATEGORIES,
+    canonicalLinkedInUrl,
+    canonicalWebsiteUrl,
+    parseLocation,
+    splitUniversities,
+    roleCategory,
+    normalizeRecord
+};
@@ -0,0 +1,44 @@
+/**
+ * Progress display
+ * One line with the progress of every query of a run, for runs that scrape several
+ * queries at once and so interleave their logs. Fed by the run's 'progress' events;
+ * printed when a query changes stage, and otherwise at most every `intervalMs`.
+ */
+
+const DEFAULT_PROGRESS_INTERVAL_MS = 15000;
+
+/**
+ * Creates the display for the named queries. Returns { update(progress), print() }.
+ */
+function createProgressDisplay(queryNames, { intervalMs = DEFAULT_PROGRESS_INTERVAL_MS, log = console.log } = {}) {
+    const queries = new Map(queryNames.map(name => [name, { stage: 'waiting', processed: 0 }]));
+    let printedAt = 0;
+
+    const describe = ([name, progress]) => {
+        if (progress.stage === 'waiting') return `${name} waiting`;
+        if (progress.stage === 'finished') return `${name} ${progress.status} (${progress.processed || 0})`;
+        const total = progress.total || progress.limit;
+        return `${name} ${progress.stage} ${progress.processed || 0}${total ? `/${total}` : ''}`;
+    };
+
+    const display = {
+        update(progress) {
+            const current = queries.get(progress.query);
+            if (!current) return;
+            const stageChanged = current.stage !== progress.stage;
+            queries.set(progress.query, { ...current, ...progress });
+            if (stageChanged || Date.now() - printedAt >= intervalMs) display.print();
+        },
+
+        print() {
+            printedAt = Date.now();
+            const done = Array.from(queries.values()).filter(progress => progress.stage === 'finished').length;
+            log(`Progress ${done}/${queries.size}: ${Array.from(queries.entries()).map(describe).join(' | ')}`);
+        }
+    };
+    return display;
+}
+
+module.exports = {
+    createProgressDisplay
+};
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const { readRecords } = require('./sinks');
+const { syncKey } = require('./sync');
+const { normalizeRecord } = require('./normalize');
+const { metroOf, findMetro, locate, distanceMiles } = require('./metros');
+const { UsageError } = require('./errors');
+
+/**
+ * Reports
+ * Loads every dataset a query has produced (all its timestamped runs, any output base it
+ * was given, and their enriched versions), merges them into one record per profile (the
+ * newest file wins), filters the records and counts them by university, metro area,
+ * searcher type and state. The report prints as text or renders as Markdown or HTML.
+ * Filters: occupations (role category or occupation text), universities, states, metros,
+ * near ({ lat, lng, radiusMiles, includeUnlocated }, see metros.locate) and has (linkedin,
+ * website). Profiles that cannot be located are left out of a near filter unless
+ * `includeUnlocated` is set; the report counts them either way.
+ */
+
+const DATASET_EXTENSIONS = ['.csv', '.jsonl', '.sqlite', '.xlsx'];
+
+const REPORT_FORMATS = ['text', 'markdown', 'html'];
+
+const HAS_FIELDS = { linkedin: 'linkedIn_url', website: 'website_url' };
+
+const DEFAULT_TOP = 10;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Dataset files of a query, oldest first
+ */
+function findQueryDatasets(query) {
+    const names = [new RegExp(`^${escapeRegExp(query.name)}_results_\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z(_enriched)?$`)];
+    if (query.output) names.push(new RegExp(`^${escapeRegExp(path.basename(query.output))}(_enriched)?$`));
+
+    const dirs = new Set([query.outputDir, query.output ? path.dirname(query.output) : null].filter(Boolean));
+    const files = [];
+    dirs.forEach(dir => {
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir).forEach(file => {
+            const extension = path.extname(file).toLowerCase();
+            if (!DATASET_EXTENSIONS.includes(extension)) return;
+            if (names.some(name => name.test(path.basename(file, extension)))) files.push(path.join(dir, file));
+        });
+    });
+
+    return files.sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+}
+
+/**
+ * Reads the datasets into one normalized record per profile (by sync.syncKey, so an edited
+ * headline is the same profile); later files win
+ */
+async function loadDatasets(files) {
+    const byKey = new Map();
+    for (const file of files) {
+        for (const record of await readRecords(file)) {
+            const normalized = normalizeRecord(record);
+            const key = syncKey(normalized);
+            byKey.set(key, { ...byKey.get(key), ...normalized });
+        }
+    }
+    return Array.from(byKey.values());
+}
+
+/**
+ * Checks report filters and resolves metro names
+ */
+function resolveFilters(filters = {}) {
+    const resolved = {
+        occupations: (filters.occupations || []).map(value => value.toLowerCase()),
+        universities: (filters.universities || []).map(value => value.toLowerCase()),
+        states: (filters.states || []).map(value => value.toUpperCase()),
+        metros: (filters.metros || []).map(name => {
+            const metro = findMetro(name);
+            if (!metro) throw new UsageError(`Unknown metro "${name}"`);
+            return metro.name;
+        }),
+        near: filters.near || null,
+        has: filters.has || []
+    };
+
+    const unknown = resolved.has.filter(field => !HAS_FIELDS[field]);
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown field for "has": ${unknown.join(', ')}. Choose from: ${Object.keys(HAS_FIELDS).join(', ')}`);
+    }
+    return resolved;
+}
+
+/**
+ * Records that pass every filter
+ */
+function filterRecords(records, filters) {
+    const contains = (text, needles) => needles.some(needle => (text || '').toLowerCase().includes(needle));
+
+    return records.filter(record => {
+        const metro = metroOf(record.city, record.state);
+        const universities = Array.isArray(record.universities) ? record.universities.join('; ') : record.uni_name;
+
+        if (filters.occupations.length > 0 && !(filters.occupations.includes(record.role_category) || contains(record.occupation, filters.occupations))) return false;
+        if (filters.universities.length > 0 && !contains(universities, filters.universities)) return false;
+        if (filters.states.length > 0 && !filters.states.includes((record.state || '').toUpperCase())) return false;
+        if (filters.metros.length > 0 && !(metro && filters.metros.includes(metro.name))) return false;
+        if (filters.near) {
+            const point = locate(record);
+            if (point ? distanceMiles(filters.near, point) > filters.near.radiusMiles : !filters.near.includeUnlocated) return false;
+        }
+        return filters.has.every(field => record[HAS_FIELDS[field]]);
+    });
+}
+
+/**
+ * The `top` most frequent values, as [value, count] pairs
+ */
+function countBy(records, valuesOf, top) {
+    const counts = new Map();
+    records.forEach(record => {
+        new Set(valuesOf(record).filter(Boolean)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+        .slice(0, top);
+}
+
+/**
+ * Builds a report over dataset files. Returns { title, datasets, filters, total, matched,
+ * unlocated, withLinkedIn, withWebsite, byUniversity, byMetro, byRole, byState }; `unlocated`
+ * counts the profiles a near filter could not place, of those passing the other filters.
+ */
+async function buildReport({ title = 'SearchFunder report', datasets, filters = {}, top = DEFAULT_TOP }) {
+    const resolved = resolveFilters(filters);
+    const records = await loadDatasets(datasets);
+    const matched = filterRecords(records, resolved);
+    const unlocated = resolved.near ? filterRecords(records, { ...resolved, near: null }).filter(record => !locate(record)).length : 0;
+
+    return {
+        title,
+        generatedAt: new Date().toISOString(),
+        datasets,
+        filters: resolved,
+        total: records.length,
+        matched: matched.length,
+        unlocated,
+        withLinkedIn: matched.filter(record => record.linkedIn_url).length,
+        withWebsite: matched.filter(record => record.website_url).length,
+        byUniversity: countBy(matched, record => (Array.isArray(record.universities) ? record.universities : []), top),
+        byMetro: countBy(matched, record => [(metroOf(record.city, record.state) || { name: 'Other' }).name], top),
+        byRole: countBy(matched, record => [record.role_category || 'unknown'], top),
+        byState: countBy(matched, record => [record.state], top)
+    };
+}
+
+const SECTIONS = [
+    ['byUniversity', 'University'],
+    ['byMetro', 'Metro area'],
+    ['byRole', 'Searcher type'],
+    ['byState', 'State']
+];
+
+function describeFilters(filters) {
+    const parts = [];
+    if (filters.occupations.length > 0) parts.push(`occupation: ${filters.occupations.join(', ')}`);
+    if (filters.universities.length > 0) parts.push(`university: ${filters.universities.join(', ')}`);
+    if (filters.states.length > 0) parts.push(`state: ${filters.states.join(', ')}`);
+    if (filters.metros.length > 0) parts.push(`metro: ${filters.metros.join(', ')}`);
+    if (filters.near) parts.push(`within ${filters.near.radiusMiles} miles of ${filters.near.label}${filters.near.includeUnlocated ? ' (or not located)' : ''}`);
+    if (filters.has.length > 0) parts.push(`has: ${filters.has.join(', ')}`);
+    return parts.length > 0 ? parts.join('; ') : 'none';
+}
+
+/**
+ * What happened to the profiles a near filter could not place
+ */
+function describeUnlocated(report) {
+    return report.filters.near.includeUnlocated
+        ? `${report.unlocated} profiles could not be located and were kept`
+        : `${report.unlocated} profiles could not be located and were left out (--include-unlocated keeps them)`;
+}
+
+function renderText(report) {
+    const lines = [
+        report.title,
+        `Filters: ${describeFilters(report.filters)}`,
+        `${report.matched} of ${report.total} profiles match (${report.withLinkedIn} with LinkedIn, ${report.withWebsite} with a website)`
+    ];
+    if (report.unlocated > 0) lines.push(describeUnlocated(report));
+    SECTIONS.forEach(([key, heading]) => {
+        lines.push('', `${heading}:`);
+        if (report[key].length === 0) lines.push('  (none)');
+        report[key].forEach(([value, count]) => lines.push(`  ${String(count).padStart(6)}  ${value}`));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function renderMarkdown(report) {
+    const cell = text => String(text).replace(/\|/g, '\\|');
+    const lines = [
+        `# ${report.title}`,
+        '',
+        `Generated ${report.generatedAt} from ${report.datasets.length} datasets. Filters: ${describeFilters(report.filters)}.`,
+        '',
+        `**${report.matched}** of ${report.total} profiles match: ${report.withLinkedIn} with LinkedIn, ${report.withWebsite} with a website.`
+    ];
+    if (report.unlocated > 0) lines.push('', `${describeUnlocated(report)}.`);
+    SECTIONS.forEach(([key, heading]) => {
+        lines.push('', `## ${heading}`, '', `| ${heading} | Profiles |`, '| --- | ---: |');
+        report[key].forEach(([value, count]) => lines.push(`| ${cell(value)} | ${count} |`));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function renderHtml(report) {
+    const escape = text => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+    const tables = SECTIONS.map(([key, heading]) => [
+        `<h2>${escape(heading)}</h2>`,
+        '<table>',
+        `<tr><th>${escape(heading)}</th><th>Profiles</th></tr>`,
+        ...report[key].map(([value, count]) => `<tr><td>${escape(value)}</td><td class="count">${count}</td></tr>`),
+        '</table>'
+    ].join('\n')).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(report.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 0.3em 0.8em; text-align: left; }
+td.count { text-align: right; }
+</style>
+</head>
+<body>
+<h1>${escape(report.title)}</h1>
+<p>Generated ${escape(report.generatedAt)} from ${report.datasets.length} datasets. Filters: ${escape(describeFilters(report.filters))}.</p>
+<p><strong>${report.matched}</strong> of ${report.total} profiles match: ${report.withLinkedIn} with LinkedIn, ${report.withWebsite} with a website.</p>
+${report.unlocated > 0 ? `<p>${escape(describeUnlocated(report))}.</p>\n` : ''}${tables}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a report as text, markdown or html
+ */
+function renderReport(report, format = 'text') {
+    const renderers = { text: renderText, markdown: renderMarkdown, html: renderHtml };
+    if (!renderers[format]) throw new UsageError(`Unknown report format "${format}". Choose from: ${REPORT_FORMATS.join(', ')}`);
+    return renderers[format](report);
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    DEFAULT_TOP,
+    findQueryDatasets,
+    loadDatasets,
+    resolveFilters,
+    filterRecords,
+    buildReport,
+    renderReport
+};
@@ -0,0 +1,101 @@
+const { EventEmitter } = require('events');
+const { EXIT_CODES } = require('./errors');
+
+/**
+ * Run state
+ * What a run is doing right now, shared by the scraper and the signal handlers: the
+ * browser, and the profile writers of the queries being scraped (each knows the live
+ * checkpoint position of its query). On Ctrl+C or SIGTERM the checkpoint is saved from this state,
+ * never from values captured when the query started, then the browser is closed. That
+ * ends the page work in flight; the run closes its sinks, writes its summary and exits
+ * with the `interrupted` exit code. Library callers stop a run the same way with run.stop().
+ * The state also carries the run's event emitter (see api.js for the events).
+ */
+
+// How long a stopping run may take to wind down before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = 30000;
+
+/**
+ * Creates the state of one run. `signal` aborts when a stop is requested, ending the
+ * request governor's waits. `events` is the EventEmitter emit() uses; a library caller
+ * passes its own.
+ */
+function createRunState({ events = new EventEmitter() } = {}) {
+    const controller = new AbortController();
+
+    return {
+        browser: null,
+        writers: new Set(), // Profile writers of the queries being scraped
+        events,
+        signal: controller.signal,
+        stopping: null, // Name of the signal that stopped the run
+
+        /**
+         * Marks the run as stopping. Returns false when it already was.
+         */
+        stop(reason) {
+            if (this.stopping) return false;
+            this.stopping = reason;
+            controller.abort();
+            return true;
+        },
+
+        /**
+         * Emits a run event. An 'error' event nobody listens to is dropped instead of
+         * thrown; failures are in the run summary either way.
+         */
+        emit(name, ...args) {
+            if (name === 'error' && events.listenerCount('error') === 0) return;
+            events.emit(name, ...args);
+        }
+    };
+}
+
+/**
+ * Stops a run cleanly: saves the checkpoint from the live state and closes the browser.
+ * Returns false when the run was already stopping.
+ */
+async function shutdown(state, reason) {
+    if (!state.stop(reason)) return false;
+
+    console.log('Saving checkpoint before exit...');
+    state.writers.forEach(writer => writer.saveCheckpoint());
+    if (state.browser) await state.browser.close().catch(() => {});
+    console.log('Checkpoint saved. You can resume scraping with the same command.');
+    return true;
+}
+
+/**
+ * Handles SIGINT and SIGTERM for a run: the first saves the checkpoint and shuts the run
+ * down cleanly, a second one exits straight away.
+ * Returns a function that removes the handlers once the run is over.
+ */
+function handleShutdownSignals(state) {
+    const onSignal = async (signal) => {
+        if (state.stopping) {
+            console.log('Stopping immediately.');
+            process.exit(EXIT_CODES.interrupted);
+        }
+
+        console.log(`\n\nGraceful shutdown initiated (${signal}). Press Ctrl+C again to stop immediately.`);
+        setTimeout(() => {
+            console.error(`The run did not stop within ${SHUTDOWN_TIMEOUT_MS / 1000}s; exiting.`);
+            process.exit(EXIT_CODES.interrupted);
+        }, SHUTDOWN_TIMEOUT_MS).unref();
+
+        await shutdown(state, signal);
+    };
+
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    return () => {
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+    };
+}
+
+module.exports = {
+    createRunState,
+    shutdown,
+    handleShutdownSignals
+};
@@ -0,0 +1,64 @@
+/**
+ * Profile schema
+ * The one definition of the columns written for a profile. Every output sink
+ * (CSV, JSON Lines, SQLite, XLSX) takes its columns from here.
+ * Fields marked `list` hold arrays: JSON Lines writes them as arrays, the other
+ * sinks as JSON text.
+ */
+
+// Fields scraped from a directory card
+const CARD_FIELDS = [
+    { name: 'profile_id', type: 'TEXT', description: 'SearchFunder profile ID, the primary key' },
+    { name: 'name', type: 'TEXT', description: 'Full name' },
+    { name: 'linkedIn_url', type: 'TEXT', description: 'LinkedIn profile URL' },
+    { name: 'website_url', type: 'TEXT', description: 'Personal or fund website' },
+    { name: 'occupation', type: 'TEXT', description: 'Role or title shown on the card' },
+    { name: 'location', type: 'TEXT', description: 'Location as shown on the card' },
+    { name: 'uni_name', type: 'TEXT', description: 'Universities, joined with "; "' },
+    { name: 'profile_url', type: 'TEXT', description: 'Profile detail page URL' }
+];
+
+// Fields added by the normalization stage. Values it rewrites keep the scraped original in a `_raw` column.
+const NORMALIZED_FIELDS = [
+    { name: 'role_category', type: 'TEXT', description: 'Occupation mapped to a role category, e.g. solo_searcher or investor' },
+    { name: 'city', type: 'TEXT', description: 'City parsed from the location' },
+    { name: 'state', type: 'TEXT', description: 'State or province code parsed from the location' },
+    { name: 'zip', type: 'TEXT', description: 'ZIP or postal code parsed from the location' },
+    { name: 'country', type: 'TEXT', description: 'Country parsed from the location' },
+    { name: 'universities', type: 'TEXT', list: true, description: 'Universities as a list' },
+    { name: 'linkedIn_url_raw', type: 'TEXT', description: 'LinkedIn URL as scraped' },
+    { name: 'website_url_raw', type: 'TEXT', description: 'Website URL as scraped' }
+];
+
+// Every column of a directory profile
+const PROFILE_FIELDS = [...CARD_FIELDS, ...NORMALIZED_FIELDS];
+
+// Fields added by the profile detail enrichment pass
+const ENRICHMENT_FIELDS = [
+    { name: 'bio', type: 'TEXT', description: 'Profile bio' },
+    { name: 'company_name', type: 'TEXT', description: 'Fund or company name' },
+    { name: 'search_stage', type: 'TEXT', description: 'Stage of the search' },
+    { name: 'industries', type: 'TEXT', description: 'Industries of interest, joined with "; "' },
+    { name: 'deal_size', type: 'TEXT', description: 'Target deal size' },
+    { name: 'investors', type: 'TEXT', description: 'Investors, joined with "; "' },
+    { name: 'joined_date', type: 'TEXT', description: 'Date the member joined SearchFunder' }
+];
+
+// SearchFunder's own profile ID; cards do not always carry one
+const PROFILE_KEY = 'profile_id';
+
+/**
+ * Column names of a field list
+ */
+function fieldNames(fields = PROFILE_FIELDS) {
+    return fields.map(field => field.name);
+}
+
+module.exports = {
+    CARD_FIELDS,
+    NORMALIZED_FIELDS,
+    PROFILE_FIELDS,
+    ENRICHMENT_FIELDS,
+    PROFILE_KEY,
+    fieldNames
+};
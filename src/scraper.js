@@ -0,0 +1,884 @@
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const path = require('path');
+const { writeRunSummary } = require('./jobs');
+const { PROFILE_URL_TEMPLATE, enrichProfiles, loadEnrichmentCheckpoint } = require('./enrichment');
+const { loadCheckpoint, readCheckpoint, updateCheckpoint, clearCheckpoint } = require('./checkpointStore');
+const { createRunState, handleShutdownSignals } = require('./runState');
+const { syncDataset } = require('./sync');
+const { createSink, sinkFilename } = require('./sinks');
+const { createWebhookSink } = require('./webhook');
+const { LOGIN_URL, resolveSessionOptions, restoreSession, saveSession, isLoginPage, waitForManualLogin } = require('./session');
+const { DEFAULT_SELECTORS, extractCards, profileKey, cardKey } = require('./selectors');
+const { createFillRateTracker, checkFieldHealth } = require('./health');
+const { normalizeRecord } = require('./normalize');
+const { pageParamOf, watchDirectoryApi, pageFetcher, endpointPages } = require('./directoryApi');
+const { createGovernor, createPacer } = require('./governor');
+const { createPagePool, runWorkers } = require('./workerPool');
+const { createProgressDisplay } = require('./progress');
+const { createArtifactStore } = require('./artifacts');
+const { appendRunHistory } = require('./metrics');
+const { withLogContext } = require('./logger');
+const { AuthError, LoggedOutError, SelectorError, UsageError } = require('./errors');
+
+/**
+ * SearchFunder Scraper
+ * Logs into searchfunder.com and scrapes user data from the directory
+ * based on provided search parameters.
+ * Now with checkpoint functionality to resume from the last scraped profile.
+ * Several directory queries can be run in one browser session from a job file,
+ * several at a time with the job's `concurrency` (see workerPool.js).
+ */
+
+// Checkpoint file path used when scraping a single DIRECTORY_URL
+const CHECKPOINT_FILE = 'scraper_checkpoint.json';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+// Scrolls in a row without new cards before the end of the directory is assumed
+const MAX_NO_CHANGE_SCROLLS = 5;
+
+// Batches in a row without a single readable card before the markup is assumed to have changed
+const MAX_UNREADABLE_BATCHES = 3;
+
+// How long network mode waits for the directory's first JSON response before reading the cards instead
+const ENDPOINT_WAIT_MS = 10000;
+
+// Resource types network mode does not load
+const BLOCKED_RESOURCE_TYPES = new Set(['image', 'media', 'font']);
+
+// Pacing of the directory scroll loop, overridable per query with `delays`
+const DEFAULT_DELAYS = {
+    scrollMs: 2000, // Wait for new cards after each scroll
+    pauseMs: 1000, // Pause before the next scroll...
+    jitterMs: 500 // ...plus up to this much at random
+};
+
+/**
+ * Runs every query of a job in one browser session with a single login,
+ * then writes a run summary with per-query counts, durations and failures.
+ * With a `concurrency` above 1 that many queries run at once on pages of their own,
+ * under one shared rate limit (the job's rateLimit intervalMs and jitterMs).
+ * `session` holds the session store settings (file, secret, userDataDir, interactive)
+ * and the credentials. `state` is the run state to use (see runState.js), for callers
+ * that listen to its events or stop the run themselves; `handleSignals: false` leaves
+ * SIGINT and SIGTERM to the caller.
+ * Each run has an ID (its start time) that tags its log entries and names its failure
+ * artifacts directory (see artifacts.js); its metrics are added to the run history (see metrics.js).
+ */
+async function runJob(job, options = {}) {
+    const runStart = Date.now();
+    const runId = new Date(runStart).toISOString().replace(/[:.]/g, '-');
+    return withLogContext({ runId }, () => runJobAs(runId, runStart, job, options));
+}
+
+async function runJobAs(runId, runStart, job, { headless = false, session = {}, state = createRunState(), handleSignals = true } = {}) {
+    console.log('Starting scraper...');
+
+    const summary = {
+        runId,
+        startedAt: new Date(runStart).toISOString(),
+        finishedAt: null,
+        durationMs: 0,
+        concurrency: job.concurrency || 1,
+        error: null,
+        errorType: null,
+        artifacts: null,
+        queries: []
+    };
+    const artifacts = createArtifactStore(path.join(job.outputDir, 'artifacts', runId));
+
+    const sessionOptions = resolveSessionOptions(session);
+
+    // Shared with the Ctrl+C / SIGTERM handlers, which save the checkpoint and close the browser
+    const removeShutdownHandlers = handleSignals ? handleShutdownSignals(state) : () => {};
+
+    let browser = null;
+    try {
+        // A person completes the login in a visible window first, then the job runs headless on that session
+        if (sessionOptions.interactive && headless) {
+            await interactiveLogin(sessionOptions);
+        }
+
+        // Launch browser with stealth mode to avoid detection
+        browser = await puppeteer.launch({
+            ...(headless
+                ? { headless: true, defaultViewport: { width: 1366, height: 900 } }
+                : { headless: false, defaultViewport: null, args: ['--start-maximized'] }),
+            userDataDir: sessionOptions.userDataDir || undefined
+        });
+        state.browser = browser;
+
+        // Every page of the pool shares the browser's cookies, so one login serves them all
+        const pool = createPagePool(browser, summary.concurrency, page => {
+            artifacts.watch(page);
+            return page.setUserAgent(USER_AGENT);
+        });
+        const loginPage = await pool.acquire();
+        try {
+            await login(loginPage, { ...sessionOptions, interactive: sessionOptions.interactive && !headless });
+        } catch (error) {
+            if (!state.stopping) summary.artifacts = await artifacts.capture(loginPage, 'login', error);
+            throw error;
+        } finally {
+            pool.release(loginPage);
+        }
+
+        const pacer = summary.concurrency > 1 ? createPacer({ ...job.rateLimit, signal: state.signal }) : null;
+        const display = summary.concurrency > 1 && job.queries.length > 1 ? createProgressDisplay(job.queries.map(query => query.name)) : null;
+        if (display) {
+            console.log(`Running up to ${summary.concurrency} queries at once`);
+            state.events.on('progress', display.update);
+        }
+
+        const results = new Map();
+        try {
+            await runWorkers(job.queries, summary.concurrency, async (query) => {
+                const page = await pool.acquire();
+                try {
+                    results.set(query.name, await withLogContext({ query: query.name }, () => runQuery(page, query, sessionOptions, state, { pool, pacer, artifacts })));
+                } finally {
+                    pool.release(page);
+                }
+            }, () => Boolean(state.stopping));
+        } finally {
+            if (display) state.events.off('progress', display.update);
+            job.queries.filter(query => results.has(query.name)).forEach(query => summary.queries.push(results.get(query.name)));
+        }
+    } catch (error) {
+        if (!state.stopping) {
+            console.error('An error occurred:', error);
+            state.emit('error', error, { query: null });
+        }
+        summary.error = state.stopping ? `Interrupted by ${state.stopping}` : error.message;
+        summary.errorType = state.stopping ? 'interrupted' : error.type || 'failure';
+    } finally {
+        removeShutdownHandlers();
+        if (browser && browser.connected) await browser.close();
+        summary.interrupted = state.stopping;
+
+        // Record queries that never started (e.g. login failed) as skipped
+        const attempted = new Set(summary.queries.map(q => q.name));
+        job.queries
+            .filter(query => !attempted.has(query.name))
+            .forEach(query => summary.queries.push({ name: query.name, url: query.url, status: 'skipped' }));
+
+        summary.finishedAt = new Date().toISOString();
+        summary.durationMs = Date.now() - runStart;
+        writeRunSummary(summary, job.outputDir);
+        appendRunHistory(summary, job.outputDir);
+    }
+
+    return summary;
+}
+
+/**
+ * Logs into searchfunder.com, reusing the saved session when it is still valid.
+ * Falls back to the credentials from .env, or to a person completing the login
+ * in the browser window when the session options ask for an interactive login.
+ */
+async function login(page, session = resolveSessionOptions()) {
+    const restored = await restoreSession(page, session);
+
+    console.log('Navigating to login page...');
+    await page.goto(LOGIN_URL, { waitUntil: 'networkidle2' });
+
+    // Check if already logged in
+    if (!isLoginPage(page)) {
+        console.log('Already logged in, proceeding...');
+        await saveSession(page, session);
+        return;
+    }
+    if (restored) {
+        console.log('Saved session has expired');
+    }
+
+    console.log('Logging in...');
+
+    // Credentials come with the session options (from .env when run from the CLI)
+    const { email, password } = session;
+
+    if (session.interactive) {
+        // Fill in what we know and let the person finish (MFA, captcha)
+        if (email) await page.type('input[type="email"]', email).catch(() => {});
+        if (password) await page.type('input[type="password"]', password).catch(() => {});
+        try {
+            await waitForManualLogin(page, session.interactiveTimeoutMs);
+        } catch (error) {
+            throw new AuthError(`Interactive login was not completed: ${error.message}`);
+        }
+    } else {
+        if (!email || !password) {
+            throw new AuthError('Login credentials not given: set SEARCHFUNDER_EMAIL and SEARCHFUNDER_PASSWORD in .env, or pass `credentials`');
+        }
+
+        // Fill login form
+        await page.type('input[type="email"]', email);
+        await page.type('input[type="password"]', password);
+
+        // Click login button and wait for navigation
+        await Promise.all([
+            page.click('button[type="submit"]'),
+            page.waitForNavigation({ waitUntil: 'networkidle2' })
+        ]);
+
+        // Verify login success
+        if (isLoginPage(page)) {
+            throw new AuthError('Login failed. Please check credentials, or run the `login` command if the site asks for MFA or a captcha.');
+        }
+    }
+    console.log('Login successful');
+    await saveSession(page, session);
+}
+
+/**
+ * Opens a visible browser window where a person completes the login once (MFA, captcha),
+ * then saves the session so headless runs can reuse it
+ */
+async function interactiveLogin(sessionOptions = {}) {
+    const session = { ...resolveSessionOptions(sessionOptions), interactive: true };
+    if (!session.secret && !session.userDataDir) {
+        throw new UsageError('An interactive login needs a session secret (SESSION_SECRET) or a userDataDir so the session can be reused');
+    }
+
+    const browser = await puppeteer.launch({
+        headless: false,
+        defaultViewport: null,
+        args: ['--start-maximized'],
+        userDataDir: session.userDataDir || undefined
+    });
+
+    try {
+        const page = await browser.newPage();
+        await page.setUserAgent(USER_AGENT);
+        await login(page, session);
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Opens a directory page through the governor, logging in again first if the session has expired
+ */
+async function gotoAuthenticated(page, url, session = resolveSessionOptions(), governor = createGovernor()) {
+    await governor.navigate(page, url);
+
+    if (isLoginPage(page)) {
+        console.log('Session expired, logging in again...');
+        await login(page, { ...session, interactive: false });
+        await governor.navigate(page, url);
+    }
+}
+
+/**
+ * Runs one query and reports its outcome for the run summary.
+ * A failing query is recorded and does not stop the remaining queries.
+ * `pool` lends the enrichment pass the run's idle pages; `pacer` is the run's shared rate limit;
+ * `artifacts` saves what the page showed when the query failed.
+ */
+async function runQuery(page, query, session, state = createRunState(), { pool = null, pacer = null, artifacts = null } = {}) {
+    console.log(`\n=== Query "${query.name}" ===`);
+    const queryStart = Date.now();
+    const delays = { ...DEFAULT_DELAYS, ...query.delays };
+    const governor = createGovernor({ intervalMs: delays.pauseMs, jitterMs: delays.jitterMs, ...query.rateLimit, signal: state.signal, pacer });
+    const result = {
+        name: query.name,
+        url: query.url,
+        filters: query.filters,
+        status: 'completed',
+        output: null,
+        outputs: null,
+        checkpoint: query.checkpoint,
+        profilesScraped: 0,
+        totalProfiles: 0,
+        enrichedOutput: null,
+        sync: null,
+        health: null,
+        webhook: null,
+        requests: null,
+        durationMs: 0,
+        error: null,
+        errorType: null,
+        artifacts: null
+    };
+
+    state.emit('progress', { query: query.name, stage: 'started', processed: 0 });
+
+    try {
+        // An unfinished enrichment pass is resumed without scraping the directory again
+        const enrichmentCheckpoint = query.enrich ? loadEnrichmentCheckpoint(query) : null;
+        if (enrichmentCheckpoint && fs.existsSync(enrichmentCheckpoint.source)) {
+            console.log(`Resuming enrichment of ${enrichmentCheckpoint.source}`);
+            result.output = enrichmentCheckpoint.source;
+        } else {
+            Object.assign(result, await scrapeQueryWithRelogin(page, query, session, governor, state));
+
+            // Only a complete dataset can tell who left the directory
+            if (query.sync && result.status === 'completed') {
+                result.sync = await syncDataset(query, result.output);
+            }
+        }
+
+        if (query.enrich && result.status === 'completed') {
+            console.log('Beginning profile detail enrichment pass...');
+            state.emit('progress', { query: query.name, stage: 'enriching', processed: 0 });
+            const helpers = pool ? await pool.borrowIdle(pool.size - 1) : [];
+            try {
+                Object.assign(result, await enrichProfiles(page, query, result.output, {
+                    ...query.enrich,
+                    governor,
+                    pages: [page, ...helpers],
+                    reauthenticate: (target = page) => login(target, { ...session, interactive: false }),
+                    onProgress: (processed, total) => state.emit('progress', { query: query.name, stage: 'enriching', processed, total })
+                }));
+            } finally {
+                helpers.forEach(helper => pool.release(helper));
+            }
+        }
+    } catch (error) {
+        if (state.stopping) {
+            // Whatever failed while stopping failed because the browser was closed
+            console.log(`Query "${query.name}" interrupted; its checkpoint is kept`);
+            result.status = 'interrupted';
+            result.error = `Interrupted by ${state.stopping}`;
+            result.errorType = 'interrupted';
+        } else {
+            console.error(`Query "${query.name}" failed:`, error);
+            result.status = 'failed';
+            result.error = error.message;
+            result.errorType = error.type || 'failure';
+            if (error.kind) result.blockKind = error.kind;
+            if (artifacts) result.artifacts = await artifacts.capture(page, query.name, error);
+            state.emit('error', error, { query: query.name });
+        }
+    }
+
+    result.requests = governor.stats;
+    result.durationMs = Date.now() - queryStart;
+    state.emit('progress', { query: query.name, stage: 'finished', status: result.status, processed: result.totalProfiles });
+    return result;
+}
+
+/**
+ * Scrapes a query, logging in again once and resuming from the checkpoint when the
+ * session ends in the middle of the run
+ */
+async function scrapeQueryWithRelogin(page, query, session, governor, state) {
+    const saved = readCheckpoint(query.checkpoint);
+    const processedBefore = saved ? saved.processedCount || 0 : 0;
+
+    try {
+        return await scrapeQuery(page, query, session, governor, state);
+    } catch (error) {
+        if (!(error instanceof LoggedOutError)) throw error;
+
+        console.log(`${error.message}. Logging in again and resuming from the checkpoint...`);
+        await login(page, { ...session, interactive: false });
+        const result = await scrapeQuery(page, query, session, governor, state);
+        return { ...result, profilesScraped: result.totalProfiles - processedBefore };
+    }
+}
+
+/**
+ * Scrapes one directory query into its own CSV file, using its own checkpoint.
+ * The query's profile writer is published on the run state, so a Ctrl+C saves
+ * the checkpoint where the scrape actually is.
+ */
+async function scrapeQuery(page, query, session = resolveSessionOptions(), governor = createGovernor(), state = createRunState()) {
+    // Load checkpoint if exists
+    let checkpoint = loadCheckpoint(query.checkpoint);
+
+    // A checkpoint left by different filters belongs to another dataset
+    if (checkpoint.query && checkpoint.query.url !== query.url) {
+        console.log(`Checkpoint ${query.checkpoint} was saved for ${checkpoint.query.url}, not this query. Starting over.`);
+        clearCheckpoint(query.checkpoint);
+        checkpoint = loadCheckpoint(query.checkpoint);
+    }
+
+    const lastProfileIndex = checkpoint.lastProfileIndex ?? -1;
+    let outputs = checkpoint.outputs || null;
+    const processedProfileIds = checkpoint.processed;
+    const previouslyProcessed = processedProfileIds.size;
+    const selectors = query.selectors || DEFAULT_SELECTORS;
+
+    // Where a resumed run picks up; the watcher learns the directory endpoint for page cursors
+    // (and in network mode keeps the records of the pages the directory loads)
+    const position = {
+        lastProfileKey: checkpoint.lastProfileKey || null,
+        cursor: checkpoint.cursor || null,
+        directoryApi: watchDirectoryApi(page, selectors, query.profileUrlTemplate || PROFILE_URL_TEMPLATE, {
+            capture: query.mode === 'network',
+            recordDir: query.recordResponses || null
+        })
+    };
+    let unblockResources = async () => {};
+    const stopWatching = governor.watch(page);
+
+    if (outputs) {
+        console.log(`Resuming from checkpoint: Last profile index ${lastProfileIndex}, output: ${Object.values(outputs).join(', ')}`);
+    }
+
+    // One sink per selected output type, all sharing the same base filename
+    const outputBase = outputs ? Object.values(outputs)[0] : resolveOutputBase(query);
+    outputs = {};
+    query.sinks.forEach(type => { outputs[type] = sinkFilename(type, outputBase); });
+    const sinks = query.sinks.map(type => createSink(type, outputs[type]));
+
+    // New and changed profiles also go to the webhook, once the files have them
+    const webhook = query.webhook ? createWebhookSink({ ...query.webhook, signal: state.signal }) : null;
+    if (webhook) sinks.push(webhook);
+    const writer = createProfileWriter(query, sinks, outputs, processedProfileIds, position, lastProfileIndex, state.emit);
+    state.writers.add(writer);
+
+    try {
+        if (query.mode === 'network') unblockResources = await blockHeavyResources(page);
+
+        // Navigate to directory with provided URL parameters
+        console.log(`Navigating to directory: ${query.url}`);
+        await gotoAuthenticated(page, query.url, session, governor);
+
+        // Wait for directory results to load
+        try {
+            await page.waitForSelector(selectors.results, { timeout: 30000 });
+        } catch (error) {
+            throw new SelectorError(`Directory results (${selectors.results}) did not appear: ${error.message}`);
+        }
+
+        // Check if notification popup appears and close it
+        try {
+            const notificationButtonSelector = 'button:contains("Allow"), button:contains("Block"), .notification-button, button.btn-primary';
+            const hasNotification = await page.evaluate((selector) => {
+                const button = document.querySelector(selector) ||
+                    Array.from(document.querySelectorAll('button')).find(el => el.textContent.includes('Allow') || el.textContent.includes('Block'));
+                if (button) {
+                    button.click();
+                    return true;
+                }
+                return false;
+            }, notificationButtonSelector);
+
+            if (hasNotification) {
+                console.log('Notification popup detected and closed');
+                await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 1000)));
+            }
+        } catch (error) {
+            console.log('No notification popup or error handling it:', error.message);
+        }
+
+        // Begin incremental scroll, scrape, and save
+        console.log('Beginning incremental scroll, scrape, and save...');
+
+        // Create output files or continue the existing ones
+        for (const sink of sinks) {
+            await sink.open();
+        }
+        writer.saveCheckpoint();
+
+        // Perform the incremental scraping. Only a cursor from the checkpoint resumes: the one
+        // just saved may already point at the page the directory loaded on opening.
+        const scrapeResult = await collectProfiles(page, query, writer, position, governor, checkpoint.cursor || null);
+        const totalProfilesCount = scrapeResult.total;
+
+        // Flag the run when fields suddenly come back empty far more often than before
+        const health = checkFieldHealth(query, scrapeResult.fillRates, selectors);
+
+        if (scrapeResult.limited) {
+            // Keep the checkpoint so `resume` carries on past the limit
+            console.log(`Stopped at ${totalProfilesCount} profiles (maxProfiles). Checkpoint kept for resuming.`);
+        } else {
+            console.log(`Scraping completed successfully! Total profiles scraped: ${totalProfilesCount}`);
+
+            // Clear checkpoint file after successful completion
+            if (clearCheckpoint(query.checkpoint)) {
+                console.log('Checkpoint file cleared after successful completion');
+            }
+        }
+
+        return {
+            status: scrapeResult.limited ? 'limited' : 'completed',
+            output: outputs[query.sinks[0]],
+            outputs,
+            profilesScraped: totalProfilesCount - previouslyProcessed,
+            totalProfiles: totalProfilesCount,
+            profilesSkipped: scrapeResult.skipped,
+            health,
+            webhook: webhook ? webhook.stats : null
+        };
+    } catch (error) {
+        // Save checkpoint on error, at the writer's current position
+        writer.saveCheckpoint();
+        throw error;
+    } finally {
+        state.writers.delete(writer);
+        position.directoryApi.stop();
+        stopWatching();
+        await unblockResources();
+        for (const sink of sinks) {
+            await sink.close();
+        }
+    }
+}
+
+/**
+ * Picks the output base filename for a query: its configured output, or a timestamped name.
+ * Each sink adds its own extension.
+ */
+function resolveOutputBase(query) {
+    if (query.output) return query.output;
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(query.outputDir, `${query.name}_results_${timestamp}`);
+}
+
+/**
+ * Collects the query's profiles by the best route available:
+ *   - a resumed run with a page `cursor` in its checkpoint fetches the remaining endpoint pages directly;
+ *   - network mode builds records from the directory's JSON responses;
+ *   - otherwise (and whenever the endpoint is unavailable) the page is scrolled and the cards read.
+ * Returns the number of processed profiles, whether the query's maxProfiles stopped the run,
+ * how many cards could not be read, and the fill rates of the profiles read in this run
+ */
+async function collectProfiles(page, query, writer, position, governor, cursor) {
+    let limited = null;
+
+    if (cursor && cursor.type === 'page' && cursor.endpoint) {
+        console.log(`Resuming from page ${cursor.page} of the directory endpoint`);
+        limited = await pageThroughEndpoint(page, query, writer, position, governor, cursor.endpoint, cursor.page).catch(error => {
+            if (error.type) throw error;
+            console.log(`Paging the directory endpoint failed (${error.message}); scrolling back to the last saved profile instead`);
+            position.cursor = null;
+            return null;
+        });
+    } else if (query.mode === 'network') {
+        limited = await networkScrapeAndSave(page, query, writer, position, governor);
+    }
+
+    if (limited === null) {
+        limited = await scrollScrapeAndSave(page, query, writer, position, governor);
+    }
+    return { total: writer.total, limited, skipped: writer.skipped, fillRates: writer.fillRates };
+}
+
+/**
+ * Writes scraped profiles: skips keys already processed, keeps to the maxProfiles budget,
+ * normalizes the records, writes every sink and moves the checkpoint past the batch.
+ * Cards that could not be read are left out and counted; nothing stands in for them in the output.
+ * `position` (lastProfileKey, cursor, directoryApi) is kept up to date for the checkpoint.
+ * Saved profiles, batches and checkpoints are reported through `emit` (see api.js for the events).
+ */
+function createProfileWriter(query, sinks, outputs, processedProfileIds, position, lastProfileIndex, emit = () => {}) {
+    const fillRates = createFillRateTracker();
+    const directoryApi = position.directoryApi || null;
+    const unreadableCards = new Set();
+    let unreadableBatches = 0;
+
+    const saveCheckpoint = () => {
+        position.cursor = (directoryApi && directoryApi.cursor(processedProfileIds)) || position.cursor || null;
+        updateCheckpoint(query, lastProfileIndex, outputs, processedProfileIds, position);
+        emit('checkpoint', {
+            query: query.name,
+            file: query.checkpoint,
+            processedCount: processedProfileIds.size,
+            lastProfileIndex,
+            cursor: position.cursor
+        });
+    };
+
+    return {
+        fillRates,
+        saveCheckpoint,
+
+        get total() {
+            return processedProfileIds.size;
+        },
+
+        get lastProfileIndex() {
+            return lastProfileIndex;
+        },
+
+        get skipped() {
+            return unreadableCards.size;
+        },
+
+        /**
+         * Saves the cards ({ index, record, fallbacks }) not processed yet.
+         * Returns how many were saved and whether maxProfiles has been reached.
+         */
+        async save(cards) {
+            const readableCards = cards.filter(card => card.record);
+            cards.filter(card => !card.record).forEach(card => unreadableCards.add(card.index));
+
+            // A run of batches where no card can be read means the card markup has changed
+            if (cards.length > 0 && readableCards.length === 0) {
+                unreadableBatches++;
+                if (fillRates.count === 0 || unreadableBatches >= MAX_UNREADABLE_BATCHES) {
+                    throw new SelectorError(`Could not read any of ${cards.length} profile cards; the directory markup may have changed`);
+                }
+            } else if (readableCards.length > 0) {
+                unreadableBatches = 0;
+            }
+
+            readableCards.forEach(card => { card.uniqueId = profileKey(card.record); });
+
+            const remaining = query.maxProfiles ? query.maxProfiles - processedProfileIds.size : Infinity;
+            const batchKeys = new Set();
+            const newProfiles = readableCards.filter(card => {
+                // A checkpoint from before profile IDs knows the profile by its card text
+                if (processedProfileIds.has(card.uniqueId) || processedProfileIds.has(cardKey(card.record))) return false;
+
+                // The same profile can be listed twice; keep the first
+                if (batchKeys.has(card.uniqueId)) return false;
+                batchKeys.add(card.uniqueId);
+                return true;
+            }).slice(0, Math.max(0, remaining));
+
+            console.log(`Found ${newProfiles.length} new profiles to scrape in this batch`);
+            if (newProfiles.length === 0) return { saved: 0, limited: false };
+
+            // Cards without a single readable name mean the card markup has changed
+            if (!newProfiles.some(card => card.record.name)) {
+                throw new SelectorError(`Could not read a name on any of ${newProfiles.length} profile cards; the directory markup may have changed`);
+            }
+
+            // Clean every record before it reaches a sink
+            const batchData = newProfiles.map(card => normalizeRecord(card.record));
+
+            // Immediately save this batch to every output sink
+            for (const sink of sinks) {
+                await sink.write(batchData);
+            }
+
+            // Mark these profiles as processed and move the checkpoint past them
+            processedProfileIds.add(newProfiles.map(card => card.uniqueId));
+            fillRates.add(newProfiles);
+            position.lastProfileKey = newProfiles[newProfiles.length - 1].uniqueId;
+            const indices = newProfiles.map(card => card.index).filter(index => index !== null);
+            if (indices.length > 0) lastProfileIndex = Math.max(lastProfileIndex, ...indices);
+            saveCheckpoint();
+
+            batchData.forEach(record => emit('profile', record, { query: query.name }));
+            emit('batch', { query: query.name, records: batchData, total: processedProfileIds.size });
+            emit('progress', { query: query.name, stage: 'scraping', processed: processedProfileIds.size, limit: query.maxProfiles || null });
+            console.log(`Total profiles collected so far: ${processedProfileIds.size}`);
+
+            const limited = Boolean(query.maxProfiles && processedProfileIds.size >= query.maxProfiles);
+            if (limited) console.log(`Reached the limit of ${query.maxProfiles} profiles, stopping here`);
+            return { saved: newProfiles.length, limited };
+        }
+    };
+}
+
+/**
+ * Network mode: records come from the directory's JSON responses instead of the cards.
+ * The pages the directory loaded itself are used first, then the endpoint is paged directly
+ * without scrolling. Falls back to scrolling when no endpoint shows up or paging fails.
+ * Returns whether maxProfiles stopped the run.
+ */
+async function networkScrapeAndSave(page, query, writer, position, governor) {
+    const directoryApi = position.directoryApi;
+    const endpoint = directoryApi && await directoryApi.waitForEndpoint(ENDPOINT_WAIT_MS);
+    if (!endpoint) {
+        console.log('No directory JSON responses seen; falling back to reading the cards');
+        return scrollScrapeAndSave(page, query, writer, position, governor);
+    }
+
+    let nextPage = pageParamOf(endpoint.url).value;
+    for (const { page: pageValue, records } of directoryApi.takePages()) {
+        const { limited } = await writer.save(records.map(record => ({ index: null, record, fallbacks: {} })));
+        if (limited) return true;
+        nextPage = pageValue + endpoint.pageStep;
+    }
+
+    try {
+        return await pageThroughEndpoint(page, query, writer, position, governor, endpoint, nextPage);
+    } catch (error) {
+        if (error.type) throw error;
+        console.log(`Paging the directory endpoint failed (${error.message}); falling back to reading the cards`);
+        return scrollScrapeAndSave(page, query, writer, position, governor);
+    }
+}
+
+/**
+ * Fetches endpoint pages from `firstPage` until one comes back empty or repeats earlier
+ * pages (see directoryApi.endpointPages), saving each.
+ * Pages are fetched at the governor's pace and retried on transient failures.
+ * Returns whether maxProfiles stopped the run.
+ */
+async function pageThroughEndpoint(page, query, writer, position, governor, endpoint, firstPage) {
+    const selectors = query.selectors || DEFAULT_SELECTORS;
+    const fetchJson = governor.fetcher(pageFetcher(page));
+
+    for await (const { page: pageValue, records } of endpointPages(fetchJson, endpoint, firstPage, selectors, query.profileUrlTemplate || PROFILE_URL_TEMPLATE)) {
+        console.log(`Endpoint page ${pageValue}: ${records.length} profiles`);
+        position.cursor = { type: 'page', endpoint, page: pageValue };
+
+        const { limited } = await writer.save(records.map(record => ({ index: null, record, fallbacks: {} })));
+        if (limited) return true;
+    }
+
+    console.log('Reached the last page of the directory endpoint');
+    return false;
+}
+
+/**
+ * Scrolls through the directory page, scrapes profiles, and saves incrementally
+ * This preserves the original scrolling logic while adding checkpoint functionality.
+ * A resumed run first scrolls until the last saved profile is back on the page;
+ * profiles are skipped by key, never by their position on the page.
+ * Returns whether maxProfiles stopped the run.
+ */
+async function scrollScrapeAndSave(page, query, writer, position, governor) {
+    const selectors = query.selectors || DEFAULT_SELECTORS;
+
+    let previousHeight;
+    let scrollCount = 0;
+    let noChangeCount = 0;
+    const delays = { ...DEFAULT_DELAYS, ...query.delays };
+
+    console.log(`Starting incremental scroll, scrape, and save...`);
+    console.log(`${writer.total} profiles already processed`);
+
+    // Scroll until the last saved profile is loaded again. One that has left the directory
+    // is forgotten, so the checkpoint does not send the next resume looking for it.
+    if (position.lastProfileKey || writer.lastProfileIndex >= 0) {
+        const found = await relocateLastProfile(page, query, position.lastProfileKey, writer.lastProfileIndex, delays, governor);
+        if (!found) {
+            console.warn('The last saved profile was not found; continuing with every profile not processed yet');
+            position.lastProfileKey = null;
+        }
+    }
+
+    // Scroll, scrape, and save until no new content loads. The first pass reads every loaded
+    // card, so profiles that moved above the resume point are not missed.
+    let nextIndex = 0;
+    while (noChangeCount < MAX_NO_CHANGE_SCROLLS) {
+        const cards = await governor.retry('Reading the directory cards', () => extractProfileBatch(page, selectors, nextIndex, query.profileUrlTemplate));
+        if (cards.length > 0) nextIndex = cards[cards.length - 1].index + 1;
+
+        const { saved, limited } = await writer.save(cards);
+        if (limited) return true;
+
+        // Get current scroll height
+        previousHeight = await page.evaluate('document.body.scrollHeight');
+
+        // Scroll to load more content, at the governor's pace
+        await scrollDown(page, delays, governor);
+
+        scrollCount++;
+        console.debug(`Scroll #${scrollCount}, Last profile index: ${writer.lastProfileIndex}, Total profiles: ${writer.total}`);
+
+        // Check if height changed
+        const newHeight = await page.evaluate('document.body.scrollHeight');
+        if (newHeight === previousHeight && saved === 0) {
+            noChangeCount++;
+            console.log(`No new content loaded (${noChangeCount}/${MAX_NO_CHANGE_SCROLLS})`);
+        } else {
+            noChangeCount = 0; // Reset if content changed or new profiles found
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Scrolls to the bottom of the directory once the governor allows the next request, waits
+ * for new cards, then checks that the directory did not answer with a rate limit, a block
+ * or the login form
+ */
+async function scrollDown(page, delays, governor) {
+    await governor.pace();
+    await page.evaluate('window.scrollTo(0, document.body.scrollHeight)');
+    governor.stats.scrolls++;
+
+    // Wait for potential new content to load
+    await page.evaluate((ms) => new Promise(resolve => setTimeout(resolve, ms)), delays.scrollMs);
+
+    await governor.retry('Loading more profiles', () => governor.check(page));
+}
+
+/**
+ * Scrolls a resumed run back to where it stopped: until the card with the last saved key is
+ * loaded, or for older checkpoints without a key, until as many cards are loaded as before.
+ * Returns false when the directory runs out first, e.g. because that profile has left it.
+ */
+async function relocateLastProfile(page, query, lastProfileKey, lastProfileIndex, delays, governor) {
+    const selectors = query.selectors || DEFAULT_SELECTORS;
+    console.log(lastProfileKey
+        ? `Scrolling back to the last saved profile (${lastProfileKey})...`
+        : `Scrolling back past profile index ${lastProfileIndex}...`);
+
+    let scanned = 0;
+    let noChangeCount = 0;
+
+    while (noChangeCount < MAX_NO_CHANGE_SCROLLS) {
+        const cards = await governor.retry('Reading the directory cards', () => extractProfileBatch(page, selectors, scanned, query.profileUrlTemplate));
+
+        if (lastProfileKey) {
+            const found = cards.find(card => profileKey(card.record || {}) === lastProfileKey);
+            if (found) {
+                console.log(`Found the last saved profile at index ${found.index}. Ready to resume scraping.`);
+                return true;
+            }
+        } else if (scanned + cards.length > lastProfileIndex) {
+            console.log(`${scanned + cards.length} profiles loaded. Ready to resume scraping.`);
+            return true;
+        }
+
+        noChangeCount = cards.length === 0 ? noChangeCount + 1 : 0;
+        scanned += cards.length;
+        console.log(`${scanned} profiles loaded, still scrolling...`);
+
+        await scrollDown(page, delays, governor);
+    }
+
+    return false;
+}
+
+/**
+ * Network mode skips images, media and fonts through request interception.
+ * Returns a function that turns interception off again.
+ */
+async function blockHeavyResources(page) {
+    const onRequest = (request) => {
+        if (request.isInterceptResolutionHandled()) return;
+        if (BLOCKED_RESOURCE_TYPES.has(request.resourceType())) {
+            request.abort();
+        } else {
+            request.continue();
+        }
+    };
+
+    await page.setRequestInterception(true);
+    page.on('request', onRequest);
+
+    return async () => {
+        page.off('request', onRequest);
+        await page.setRequestInterception(false);
+    };
+}
+
+/**
+ * Reads the directory cards from `fromIndex` on with the selector map.
+ * Returns { index, record, fallbacks } per card (see extractCards).
+ */
+async function extractProfileBatch(page, selectors, fromIndex = 0, profileUrlTemplate = PROFILE_URL_TEMPLATE) {
+    const cards = await page.evaluate(extractCards, selectors, fromIndex, profileUrlTemplate);
+
+    const unreadable = cards.filter(card => !card.record);
+    if (unreadable.length > 0) {
+        console.error(`Could not extract data from profiles at index ${unreadable.map(card => card.index).join(', ')}; they are left out of the output`);
+    }
+
+    return cards;
+}
+
+module.exports = {
+    CHECKPOINT_FILE,
+    runJob,
+    login,
+    interactiveLogin,
+    gotoAuthenticated,
+    scrapeQuery,
+    scrollScrapeAndSave,
+    extractProfileBatch
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { CARD_FIELDS, fieldNames } = require('./schema');
+const { UsageError } = require('./errors');
+
+/**
+ * Selector map
+ * The one place that says where each profile field lives in a directory card.
+ * Every field has a list of rules tried in order; the first rule that yields a value
+ * wins, so older and newer markup can be read side by side. Bump `version` whenever
+ * the rules change: the field health baseline is kept per version.
+ *
+ * A rule is { selector, attribute, all, join, pattern }:
+ *   attribute  'text' (default), 'href' (resolved link) or any attribute name
+ *   all        read every match and join them (with `join`, default "; ")
+ *   pattern    regular expression the value must match; its first group is kept when it has one
+ *
+ * `api` does the same for the directory's JSON endpoint: where the list of profiles sits
+ * in a response (`items`) and which keys hold each field (`fields`, see directoryApi.js).
+ */
+
+const SELECTOR_MAP_VERSION = 2;
+
+const PROFILE_LINK = 'a[href*="searchfunder.com/profile/"], a[href^="/profile/"]';
+
+const DEFAULT_SELECTORS = {
+    version: SELECTOR_MAP_VERSION,
+    results: '#directory-results',
+    card: ['#directory-results > div > div'],
+    fields: {
+        profile_id: [
+            { selector: 'span[data-profilecard]', attribute: 'data-profilecard' },
+            { selector: '[data-profilecard]', attribute: 'data-profilecard' },
+            { selector: PROFILE_LINK, attribute: 'href', pattern: '/profile/([^/?#]+)' }
+        ],
+        name: [
+            { selector: 'div > div > span[data-profilecard]' },
+            { selector: '[data-profilecard]' }
+        ],
+        linkedIn_url: [
+            { selector: 'div:nth-child(2) > a[href*="linkedin.com"]', attribute: 'href' },
+            { selector: 'a[href*="linkedin.com/in/"]', attribute: 'href' }
+        ],
+        website_url: [
+            { selector: 'div:nth-child(2) > a:not([href*="linkedin.com"]):not([href*="searchfunder.com"])', attribute: 'href' },
+            { selector: 'a[href^="http"]:not([href*="linkedin.com"]):not([href*="searchfunder.com"])', attribute: 'href' }
+        ],
+        // The 3rd, 4th and 5th div of the card's flex column
+        occupation: [
+            { selector: 'div > div:nth-child(3)' },
+            { selector: '[class*="occupation"], [class*="title"]' }
+        ],
+        location: [
+            { selector: 'div > div:nth-child(4)' },
+            { selector: '[class*="location"]' }
+        ],
+        uni_name: [
+            { selector: 'div > div:nth-child(5) div', all: true },
+            { selector: '[class*="school"], [class*="university"]', all: true }
+        ],
+        profile_url: [
+            { selector: PROFILE_LINK, attribute: 'href' }
+        ]
+    },
+    api: {
+        items: ['data', 'results', 'users', 'profiles', 'members', 'items', 'data.users', 'data.results', 'data.items'],
+        fields: {
+            profile_id: ['id', 'user_id', 'profile_id', 'slug'],
+            name: ['name', 'full_name', 'fullName', ['first_name', 'last_name'], ['firstName', 'lastName']],
+            linkedIn_url: ['linkedin_url', 'linkedinUrl', 'linkedin'],
+            website_url: ['website_url', 'websiteUrl', 'website'],
+            occupation: ['occupation', 'title', 'headline', 'role'],
+            location: ['location', 'city_name', 'city'],
+            uni_name: ['universities', 'schools', 'education'],
+            profile_url: ['profile_url', 'profileUrl']
+        }
+    },
+    // Fields every card should have; a run below these fill rates is flagged
+    minFillRates: {
+        name: 0.95
+    }
+};
+
+/**
+ * Selector map with a selectors file (JSON or YAML) laid over the defaults.
+ * Each field the file lists replaces the default rules for that field.
+ */
+function loadSelectorMap(source) {
+    if (!source) return DEFAULT_SELECTORS;
+
+    let overrides = source;
+    if (typeof source === 'string') {
+        if (!fs.existsSync(source)) {
+            throw new UsageError(`Selectors file not found: ${source}`);
+        }
+        const ext = path.extname(source).toLowerCase();
+        try {
+            const raw = fs.readFileSync(source, 'utf8');
+            overrides = (ext === '.yaml' || ext === '.yml') ? yaml.load(raw) : JSON.parse(raw);
+        } catch (error) {
+            throw new UsageError(`Could not parse selectors file ${source}: ${error.message}`);
+        }
+    }
+
+    const selectors = {
+        ...DEFAULT_SELECTORS,
+        ...overrides,
+        card: toList(overrides.card || DEFAULT_SELECTORS.card),
+        fields: { ...DEFAULT_SELECTORS.fields },
+        minFillRates: { ...DEFAULT_SELECTORS.minFillRates, ...overrides.minFillRates },
+        api: {
+            items: (overrides.api && overrides.api.items) || DEFAULT_SELECTORS.api.items,
+            fields: { ...DEFAULT_SELECTORS.api.fields, ...(overrides.api && overrides.api.fields) }
+        }
+    };
+    Object.entries(overrides.fields || {}).forEach(([field, rules]) => {
+        selectors.fields[field] = toList(rules).map(rule => typeof rule === 'string' ? { selector: rule } : rule);
+    });
+
+    validateSelectorMap(selectors, typeof source === 'string' ? source : 'selectors');
+    return selectors;
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Checks a selector map, throwing on missing fields or malformed rules
+ */
+function validateSelectorMap(selectors, source = 'selectors') {
+    if (!Number.isInteger(selectors.version)) {
+        throw new UsageError(`${source} needs a whole-number "version"`);
+    }
+
+    const known = new Set(fieldNames(CARD_FIELDS));
+    Object.keys(selectors.fields).forEach(field => {
+        if (!known.has(field)) {
+            throw new UsageError(`${source}: unknown field "${field}". Fields: ${Array.from(known).join(', ')}`);
+        }
+    });
+
+    fieldNames(CARD_FIELDS).forEach(field => {
+        const rules = selectors.fields[field];
+        if (!Array.isArray(rules) || rules.length === 0) {
+            throw new UsageError(`${source}: field "${field}" needs at least one rule`);
+        }
+        rules.forEach(rule => {
+            if (!rule || typeof rule.selector !== 'string' || !rule.selector) {
+                throw new UsageError(`${source}: every rule of "${field}" needs a "selector"`);
+            }
+            if (rule.pattern) {
+                try {
+                    new RegExp(rule.pattern);
+                } catch (error) {
+                    throw new UsageError(`${source}: bad pattern for "${field}": ${error.message}`);
+                }
+            }
+        });
+    });
+
+    Object.entries(selectors.api.fields).forEach(([field, candidates]) => {
+        if (!known.has(field)) {
+            throw new UsageError(`${source}: unknown api field "${field}"`);
+        }
+        if (!Array.isArray(candidates) || candidates.length === 0) {
+            throw new UsageError(`${source}: api field "${field}" needs a list of JSON keys`);
+        }
+    });
+}
+
+/**
+ * Reads the directory cards from `fromIndex` on. Runs inside the page (pass it to page.evaluate),
+ * so it must not use anything from this module.
+ * Returns { index, record, fallbacks } per card; `fallbacks` maps each field that was read by
+ * a later rule to that rule's position, and `record` is null when nothing could be read.
+ */
+function extractCards(selectors, fromIndex, profileUrlTemplate) {
+    const cardSelector = selectors.card.find(selector => document.querySelector(selector));
+    if (!cardSelector) return [];
+
+    const readRule = (cardEl, rule) => {
+        const elements = rule.all
+            ? Array.from(cardEl.querySelectorAll(rule.selector))
+            : [cardEl.querySelector(rule.selector)].filter(Boolean);
+
+        const values = elements.map(el => {
+            const attribute = rule.attribute || 'text';
+            const raw = attribute === 'text' ? el.textContent : attribute === 'href' ? el.href : el.getAttribute(attribute);
+            const value = (raw || '').trim();
+            if (!value || !rule.pattern) return value;
+
+            const match = value.match(new RegExp(rule.pattern));
+            return match ? (match[1] !== undefined ? match[1] : match[0]) : '';
+        }).filter(Boolean);
+
+        return values.length > 0 ? values.join(rule.join || '; ') : null;
+    };
+
+    return Array.from(document.querySelectorAll(cardSelector)).slice(fromIndex).map((cardEl, offset) => {
+        const record = {};
+        const fallbacks = {};
+
+        Object.entries(selectors.fields).forEach(([field, rules]) => {
+            record[field] = null;
+            for (let i = 0; i < rules.length; i++) {
+                const value = readRule(cardEl, rules[i]);
+                if (value) {
+                    record[field] = value;
+                    if (i > 0) fallbacks[field] = i;
+                    break;
+                }
+            }
+        });
+
+        // Profile detail page built from the ID when the card has no profile link
+        if (!record.profile_url && record.profile_id) {
+            record.profile_url = profileUrlTemplate.replace('{id}', encodeURIComponent(record.profile_id));
+        }
+
+        const readable = Object.values(record).some(Boolean);
+        return { index: fromIndex + offset, record: readable ? record : null, fallbacks };
+    });
+}
+
+/**
+ * Checkpoint key of a card: SearchFunder's own profile ID, or a key built from the
+ * card text when the card carries no ID
+ */
+function profileKey(record) {
+    if (record.profile_id) return `id:${record.profile_id}`;
+    return cardKey(record);
+}
+
+/**
+ * Key built from the card text alone. Checkpoints from before profile IDs were read
+ * hold these keys for every card, ID or not.
+ */
+function cardKey(record) {
+    return `card:${record.name || ''}|${record.occupation || ''}|${record.linkedIn_url || ''}`.replace(/\s+/g, '');
+}
+
+module.exports = {
+    SELECTOR_MAP_VERSION,
+    DEFAULT_SELECTORS,
+    loadSelectorMap,
+    validateSelectorMap,
+    extractCards,
+    profileKey,
+    cardKey
+};
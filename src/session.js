@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Session persistence
+ * Saves the logged-in session (cookies and localStorage) to an encrypted file so later
+ * runs skip the login form. The file is encrypted with AES-256-GCM using a key derived
+ * from the session secret (SESSION_SECRET for the CLI); without a secret nothing is written to disk.
+ * A persistent browser profile (userDataDir) is the alternative and needs no store.
+ */
+
+const SEARCHFUNDER_ORIGIN = 'https://searchfunder.com';
+const LOGIN_URL = `${SEARCHFUNDER_ORIGIN}/login`;
+const DEFAULT_SESSION_FILE = path.join('.session', 'searchfunder.session');
+
+/**
+ * Session settings with their defaults filled in. Only the options are read, never the
+ * environment: the CLI maps .env onto these options (see cli.js).
+ * `email` and `password` are the login credentials.
+ */
+function resolveSessionOptions(options = {}) {
+    return {
+        file: options.file || DEFAULT_SESSION_FILE,
+        secret: options.secret || null,
+        userDataDir: options.userDataDir || null,
+        email: options.email || null,
+        password: options.password || null,
+        interactive: Boolean(options.interactive),
+        interactiveTimeoutMs: options.interactiveTimeoutMs || 5 * 60 * 1000
+    };
+}
+
+function deriveKey(secret, salt) {
+    return crypto.scryptSync(secret, salt, 32);
+}
+
+/**
+ * Encrypts and writes session data
+ */
+function writeSessionFile(file, secret, data) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret, salt), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    const payload = {
+        version: 1,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: encrypted.toString('base64')
+    };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(payload), { mode: 0o600 });
+    fs.renameSync(tempFile, file);
+}
+
+/**
+ * Reads and decrypts session data, or returns null when missing or unreadable
+ */
+function readSessionFile(file, secret) {
+    if (!fs.existsSync(file)) return null;
+
+    try {
+        const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret, Buffer.from(payload.salt, 'base64')), Buffer.from(payload.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+        const decrypted = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+        return JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+        console.error(`Could not read saved session ${file} (wrong SESSION_SECRET or damaged file): ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Loads the saved session into the browser: cookies first, then localStorage on the site's origin
+ */
+async function restoreSession(page, options) {
+    if (!options.secret) return false;
+
+    const session = readSessionFile(options.file, options.secret);
+    if (!session) return false;
+
+    if (session.cookies && session.cookies.length > 0) {
+        await page.browser().setCookie(...session.cookies);
+    }
+
+    if (session.localStorage && Object.keys(session.localStorage).length > 0) {
+        await page.goto(LOGIN_URL, { waitUntil: 'domcontentloaded' });
+        await page.evaluate((entries) => {
+            Object.entries(entries).forEach(([key, value]) => localStorage.setItem(key, value));
+        }, session.localStorage);
+    }
+
+    console.log(`Restored saved session from ${options.file} (saved ${session.savedAt})`);
+    return true;
+}
+
+/**
+ * Saves the current cookies and localStorage of a logged-in page
+ */
+async function saveSession(page, options) {
+    if (!options.secret) {
+        if (!options.userDataDir) {
+            console.log('Session not saved: set SESSION_SECRET (or use a persistent userDataDir) to reuse logins');
+        }
+        return false;
+    }
+
+    const cookies = await page.browser().cookies();
+    const localStorage = new URL(page.url()).origin === SEARCHFUNDER_ORIGIN
+        ? await page.evaluate(() => Object.fromEntries(Object.entries(window.localStorage)))
+        : {};
+
+    writeSessionFile(options.file, options.secret, { savedAt: new Date().toISOString(), cookies, localStorage });
+    console.log(`Session saved to ${options.file}`);
+    return true;
+}
+
+/**
+ * Removes the saved session (login --fresh)
+ */
+function clearSession(options) {
+    if (fs.existsSync(options.file)) fs.unlinkSync(options.file);
+}
+
+/**
+ * True when the page has been sent to the login form, i.e. the session is missing or expired
+ */
+function isLoginPage(page) {
+    return new URL(page.url()).pathname.startsWith('/login');
+}
+
+/**
+ * Waits for a person to finish logging in (MFA, captcha) in a visible browser window
+ */
+async function waitForManualLogin(page, timeoutMs) {
+    console.log(`Complete the login in the browser window (MFA or captcha if asked). Waiting up to ${Math.round(timeoutMs / 60000)} minutes...`);
+    await page.waitForFunction(() => !window.location.pathname.startsWith('/login'), { timeout: timeoutMs, polling: 1000 });
+    await page.waitForNetworkIdle({ idleTime: 1000, timeout: 30000 }).catch(() => {});
+}
+
+module.exports = {
+    LOGIN_URL,
+    DEFAULT_SESSION_FILE,
+    resolveSessionOptions,
+    restoreSession,
+    saveSession,
+    clearSession,
+    isLoginPage,
+    waitForManualLogin
+};
@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const { Parser } = require('json2csv');
+const { parse } = require('csv-parse/sync');
+const { PROFILE_FIELDS, ENRICHMENT_FIELDS, fieldNames } = require('./schema');
+const { profileKey } = require('./selectors');
+
+/**
+ * Output sinks
+ * Every sink writes profile records with the columns from the shared schema and
+ * has the same shape: open() before the first batch, write(records) per batch, close() at the end.
+ * Opening an existing file continues it, so resumed runs keep appending to the same output.
+ * The appending sinks skip profiles the file already holds: a run that crashed after writing
+ * a batch but before checkpointing it scrapes that batch again when resumed.
+ */
+
+const SINK_TYPES = {
+    csv: { extension: '.csv', create: createCsvSink },
+    jsonl: { extension: '.jsonl', create: createJsonLinesSink },
+    sqlite: { extension: '.sqlite', create: createSqliteSink },
+    xlsx: { extension: '.xlsx', create: createXlsxSink }
+};
+
+const DEFAULT_SINKS = ['csv'];
+
+// SQLite column holding each row's checkpoint key (see selectors.profileKey), which rows are upserted on
+const SQLITE_KEY_COLUMN = 'profile_key';
+
+// Columns that hold lists, decoded back into arrays when a dataset is read
+const LIST_FIELDS = new Set([...PROFILE_FIELDS, ...ENRICHMENT_FIELDS].filter(field => field.list).map(field => field.name));
+
+/**
+ * Checks a list of sink types, throwing on unknown ones
+ */
+function validateSinkTypes(types) {
+    const list = Array.isArray(types) ? types : [types];
+    const unknown = list.filter(type => !SINK_TYPES[type]);
+    if (list.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown output sink "${unknown.join('", "')}". Choose from: ${Object.keys(SINK_TYPES).join(', ')}`);
+    }
+    return list;
+}
+
+/**
+ * Output filename for a sink type: the base path plus the type's extension
+ */
+function sinkFilename(type, basePath) {
+    return basePath.replace(/\.(csv|jsonl|sqlite|xlsx)$/i, '') + SINK_TYPES[type].extension;
+}
+
+/**
+ * Creates one sink of the given type
+ */
+function createSink(type, filename, fields = PROFILE_FIELDS) {
+    validateSinkTypes([type]);
+    return SINK_TYPES[type].create(filename, fields);
+}
+
+/**
+ * Normalizes a record to exactly the schema's columns, with null for anything missing.
+ * Lists are kept as arrays when `keepLists` is set and written as JSON text otherwise.
+ */
+function toRow(record, names, { keepLists = false } = {}) {
+    const row = {};
+    names.forEach(name => {
+        const value = record[name];
+        if (Array.isArray(value)) {
+            row[name] = value.length === 0 ? null : keepLists ? value : JSON.stringify(value);
+            return;
+        }
+        row[name] = value === undefined || value === '' ? null : value;
+    });
+    return row;
+}
+
+/**
+ * Keys (see selectors.profileKey) of the profiles already in an existing output file
+ */
+async function writtenKeys(filename) {
+    return new Set((await readRawRecords(filename)).map(profileKey));
+}
+
+/**
+ * The records whose key is not in `written` yet, adding their keys to it
+ */
+function unwritten(records, written, filename) {
+    const fresh = records.filter(record => !written.has(profileKey(record)));
+    if (fresh.length < records.length) {
+        console.log(`Skipping ${records.length - fresh.length} profiles ${filename} already holds`);
+    }
+    fresh.forEach(record => written.add(profileKey(record)));
+    return fresh;
+}
+
+/**
+ * Turns list columns read from a file back into arrays
+ */
+function decodeLists(record) {
+    LIST_FIELDS.forEach(name => {
+        const value = record[name];
+        if (typeof value === 'string' && value.startsWith('[')) {
+            try {
+                record[name] = JSON.parse(value);
+            } catch (error) {
+                // Not JSON after all; keep the text
+            }
+        }
+    });
+    return record;
+}
+
+/**
+ * CSV sink. Every row ends with a newline, so a crash mid-write leaves at most one torn
+ * last row, which is cut off the next time the file is opened.
+ */
+function createCsvSink(filename, fields) {
+    let names = fieldNames(fields);
+    let written = new Set();
+
+    return {
+        type: 'csv',
+        filename,
+
+        async open() {
+            if (!fs.existsSync(filename)) {
+                fs.mkdirSync(path.dirname(filename), { recursive: true });
+                fs.writeFileSync(filename, new Parser({ fields: names }).parse([]) + '\n');
+                console.log(`CSV file created: ${filename}`);
+                return;
+            }
+
+            // A file started with other columns (e.g. before a schema change) keeps its own header
+            const header = readCsvHeader(filename);
+            if (header.length > 0 && header.join(',') !== names.join(',')) {
+                console.log(`${filename} has different columns than the current schema; appending with its own header`);
+                names = header;
+            }
+            repairCsvTail(filename, names.length);
+            written = await writtenKeys(filename);
+            console.log(`Using existing CSV file: ${filename}`);
+        },
+
+        async write(records) {
+            records = unwritten(records || [], written, filename);
+            if (records.length === 0) return;
+            const parser = new Parser({ fields: names, header: false, nullValue: '' }); // No headers for append, empty string for null values
+            fs.appendFileSync(filename, parser.parse(records.map(record => toRow(record, names))) + '\n');
+            console.log(`Appended ${records.length} profiles to ${filename}`);
+        },
+
+        async close() {}
+    };
+}
+
+/**
+ * Column names from the first line of a CSV file
+ */
+function readCsvHeader(filename) {
+    const firstLine = fs.readFileSync(filename, 'utf8').split('\n', 1)[0];
+    return firstLine ? parse(firstLine)[0] : [];
+}
+
+/**
+ * Cuts a torn last row off a CSV file. Files written without a trailing newline
+ * (older runs) keep their last row when it is complete.
+ */
+function repairCsvTail(filename, columnCount) {
+    const buffer = fs.readFileSync(filename);
+    if (buffer.length === 0 || buffer[buffer.length - 1] === 0x0a) return;
+
+    const records = parse(buffer, { info: true, relax_column_count: true, skip_records_with_error: true });
+    const complete = records.filter(({ record }) => record.length === columnCount);
+    const keepBytes = complete.length > 0 ? complete[complete.length - 1].info.bytes : 0;
+
+    if (keepBytes < buffer.length) {
+        console.log(`Removing a partially written row from the end of ${filename}`);
+        fs.truncateSync(filename, keepBytes);
+    }
+    if (keepBytes === 0 || buffer[keepBytes - 1] !== 0x0a) {
+        fs.appendFileSync(filename, '\n');
+    }
+}
+
+/**
+ * JSON Lines sink, one JSON object per line
+ */
+function createJsonLinesSink(filename, fields) {
+    const names = fieldNames(fields);
+    let written = new Set();
+
+    return {
+        type: 'jsonl',
+        filename,
+
+        async open() {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+            if (!fs.existsSync(filename)) {
+                fs.writeFileSync(filename, '');
+                console.log(`JSON Lines file created: ${filename}`);
+                return;
+            }
+
+            // Drop a torn last line left by a crash mid-write
+            const contents = fs.readFileSync(filename, 'utf8');
+            if (contents.length > 0 && !contents.endsWith('\n')) {
+                const lastBreak = contents.lastIndexOf('\n');
+                console.log(`Removing a partially written line from the end of ${filename}`);
+                fs.truncateSync(filename, Buffer.byteLength(contents.slice(0, lastBreak + 1)));
+            }
+            written = await writtenKeys(filename);
+            console.log(`Using existing JSON Lines file: ${filename}`);
+        },
+
+        async write(records) {
+            records = unwritten(records || [], written, filename);
+            if (records.length === 0) return;
+            const lines = records.map(record => JSON.stringify(toRow(record, names, { keepLists: true })) + '\n').join('');
+            fs.appendFileSync(filename, lines);
+            console.log(`Appended ${records.length} profiles to ${filename}`);
+        },
+
+        async close() {}
+    };
+}
+
+/**
+ * SQLite sink. Rows are upserted on the profile's checkpoint key, so re-scraped profiles update
+ * in place, cards without a profile ID included.
+ */
+function createSqliteSink(filename, fields) {
+    const names = fieldNames(fields);
+    let db = null;
+    let upsert = null;
+
+    return {
+        type: 'sqlite',
+        filename,
+
+        async open() {
+            const Database = require('better-sqlite3');
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+            const existed = fs.existsSync(filename);
+
+            db = new Database(filename);
+            db.pragma('journal_mode = WAL');
+
+            const columns = fields.map(field => `"${field.name}" ${field.type}`);
+            db.exec(`CREATE TABLE IF NOT EXISTS profiles (
+                row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ${SQLITE_KEY_COLUMN} TEXT,
+                ${columns.join(',\n                ')},
+                updated_at TEXT NOT NULL
+            )`);
+
+            // Tables created from an older schema get the missing columns added
+            const existing = new Set(db.prepare('PRAGMA table_info(profiles)').all().map(column => column.name));
+            fields.filter(field => !existing.has(field.name))
+                .forEach(field => db.exec(`ALTER TABLE profiles ADD COLUMN "${field.name}" ${field.type}`));
+            if (!existing.has(SQLITE_KEY_COLUMN)) db.exec(`ALTER TABLE profiles ADD COLUMN ${SQLITE_KEY_COLUMN} TEXT`);
+
+            // Rows written before the key column existed get their key; of rows sharing a key
+            // (cards without an ID were inserted again on every run) only the newest is kept
+            const unkeyed = db.prepare(`SELECT * FROM profiles WHERE ${SQLITE_KEY_COLUMN} IS NULL`).all();
+            if (unkeyed.length > 0) {
+                const setKey = db.prepare(`UPDATE profiles SET ${SQLITE_KEY_COLUMN} = ? WHERE row_id = ?`);
+                db.transaction(rows => rows.forEach(row => setKey.run(profileKey(row), row.row_id)))(unkeyed);
+                db.exec(`DELETE FROM profiles WHERE row_id NOT IN (SELECT MAX(row_id) FROM profiles GROUP BY ${SQLITE_KEY_COLUMN})`);
+            }
+            db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS profiles_${SQLITE_KEY_COLUMN} ON profiles (${SQLITE_KEY_COLUMN})`);
+
+            const quoted = names.map(name => `"${name}"`);
+            const updates = names.map(name => `"${name}" = excluded."${name}"`);
+            upsert = db.prepare(`INSERT INTO profiles (${SQLITE_KEY_COLUMN}, ${quoted.join(', ')}, updated_at)
+                VALUES (@${SQLITE_KEY_COLUMN}, ${names.map(name => `@${name}`).join(', ')}, @updated_at)
+                ON CONFLICT(${SQLITE_KEY_COLUMN}) DO UPDATE SET ${updates.join(', ')}, updated_at = excluded.updated_at`);
+
+            console.log(`${existed ? 'Using existing' : 'Created'} SQLite database: ${filename}`);
+        },
+
+        async write(records) {
+            if (!records || records.length === 0) return;
+            const updatedAt = new Date().toISOString();
+            const writeAll = db.transaction(rows => rows.forEach(row => upsert.run({ ...row, [SQLITE_KEY_COLUMN]: profileKey(row), updated_at: updatedAt })));
+            writeAll(records.map(record => toRow(record, names)));
+            console.log(`Upserted ${records.length} profiles into ${filename}`);
+        },
+
+        async close() {
+            if (db) db.close();
+            db = null;
+        }
+    };
+}
+
+/**
+ * XLSX sink. A workbook cannot be appended to in place, so the whole file is
+ * rewritten (through a temp file) after every batch.
+ */
+function createXlsxSink(filename, fields) {
+    const names = fieldNames(fields);
+    let workbook = null;
+    let sheet = null;
+    let written = new Set();
+
+    const save = async () => {
+        const tempFile = `${filename}.tmp`;
+        await workbook.xlsx.writeFile(tempFile);
+        fs.renameSync(tempFile, filename);
+    };
+
+    return {
+        type: 'xlsx',
+        filename,
+
+        async open() {
+            const ExcelJS = require('exceljs');
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+            workbook = new ExcelJS.Workbook();
+
+            if (fs.existsSync(filename)) {
+                written = await writtenKeys(filename);
+                await workbook.xlsx.readFile(filename);
+                sheet = workbook.getWorksheet('profiles') || workbook.worksheets[0];
+                console.log(`Using existing XLSX file: ${filename}`);
+            } else {
+                sheet = workbook.addWorksheet('profiles');
+                console.log(`XLSX file created: ${filename}`);
+            }
+            sheet.columns = names.map(name => ({ header: name, key: name }));
+            await save();
+        },
+
+        async write(records) {
+            records = unwritten(records || [], written, filename);
+            if (records.length === 0) return;
+            sheet.addRows(records.map(record => toRow(record, names)));
+            await save();
+            console.log(`Appended ${records.length} profiles to ${filename}`);
+        },
+
+        async close() {
+            workbook = null;
+            sheet = null;
+        }
+    };
+}
+
+/**
+ * Reads all records back from any sink's output file, chosen by extension
+ */
+async function readRecords(filename) {
+    return (await readRawRecords(filename)).map(decodeLists);
+}
+
+async function readRawRecords(filename) {
+    const extension = path.extname(filename).toLowerCase();
+
+    if (extension === '.csv') {
+        return parse(fs.readFileSync(filename, 'utf8'), { columns: true, skip_empty_lines: true, relax_column_count: true });
+    }
+    if (extension === '.jsonl') {
+        return fs.readFileSync(filename, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+    if (extension === '.sqlite') {
+        const Database = require('better-sqlite3');
+        const db = new Database(filename, { readonly: true });
+        try {
+            return db.prepare('SELECT * FROM profiles ORDER BY row_id').all()
+                .map(({ row_id, updated_at, [SQLITE_KEY_COLUMN]: key, ...record }) => record);
+        } finally {
+            db.close();
+        }
+    }
+    if (extension === '.xlsx') {
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filename);
+        const sheet = workbook.getWorksheet('profiles') || workbook.worksheets[0];
+        const header = sheet.getRow(1).values;
+        const records = [];
+        sheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const record = {};
+            header.forEach((name, column) => {
+                if (name) record[name] = row.getCell(column).text || null;
+            });
+            records.push(record);
+        });
+        return records;
+    }
+
+    throw new Error(`Cannot read records from ${filename}: unknown file type`);
+}
+
+module.exports = {
+    SINK_TYPES,
+    DEFAULT_SINKS,
+    validateSinkTypes,
+    sinkFilename,
+    createSink,
+    readRecords
+};
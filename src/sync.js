@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { Parser } = require('json2csv');
+const { parse } = require('csv-parse/sync');
+const { CARD_FIELDS, PROFILE_KEY, fieldNames } = require('./schema');
+const { readRecords } = require('./sinks');
+
+/**
+ * Incremental sync
+ * Compares a finished directory dataset against the history of earlier runs of the
+ * same query. Produces a diff (new, removed and changed profiles) and keeps a history
+ * table with the first-seen and last-seen time of every profile.
+ */
+
+// Directory card fields compared between runs (the normalized columns are derived from these)
+const TRACKED_FIELDS = fieldNames(CARD_FIELDS).filter(name => name !== PROFILE_KEY);
+
+const HISTORY_FIELDS = ['profile_key', 'profile_id', ...TRACKED_FIELDS, 'first_seen', 'last_seen', 'removed_at'];
+
+/**
+ * Identity of a profile across runs. Occupation and location are left out on purpose,
+ * so a change of role shows up as a change rather than as a removal plus an addition.
+ */
+function syncKey(record) {
+    if (record.profile_id) return `id:${record.profile_id}`;
+    if (record.linkedIn_url) return `linkedin:${record.linkedIn_url.toLowerCase().replace(/\/+$/, '')}`;
+    return `name:${(record.name || '').toLowerCase().replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Path of the history table that belongs to a query
+ */
+function historyPath(query) {
+    return query.history || path.join(query.outputDir, `${query.name}_history.csv`);
+}
+
+/**
+ * Reads the history table, or an empty list when it does not exist yet
+ */
+function readHistory(filename) {
+    if (!fs.existsSync(filename)) return [];
+    return parse(fs.readFileSync(filename, 'utf8'), { columns: true, skip_empty_lines: true, relax_column_count: true });
+}
+
+/**
+ * Field-level differences between the last known values and the current record
+ */
+function diffFields(previous, current) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        const from = previous[field] || '';
+        const to = current[field] || '';
+        if (from !== to) changes[field] = { from: from || null, to: to || null };
+    }
+    return changes;
+}
+
+/**
+ * Compares the dataset of a completed run with the query's history, then writes
+ * the diff file and the updated history table
+ */
+async function syncDataset(query, datasetFile, { now = new Date() } = {}) {
+    const seenAt = now.toISOString();
+    const historyFile = historyPath(query);
+    const previousRows = readHistory(historyFile);
+    const history = new Map(previousRows.map(row => [row.profile_key, row]));
+    const baseline = previousRows.length === 0;
+
+    // Current dataset, one record per profile (placeholder rows from failed extractions are not people)
+    const current = new Map();
+    (await readRecords(datasetFile))
+        .filter(record => record.name && !record.name.startsWith('Error_Profile_'))
+        .forEach(record => current.set(syncKey(record), record));
+
+    const diff = { query: query.name, url: query.url, dataset: datasetFile, syncedAt: seenAt, baseline, added: [], removed: [], changed: [] };
+
+    for (const [key, record] of current) {
+        const previous = history.get(key);
+        const values = {};
+        TRACKED_FIELDS.forEach(field => { values[field] = record[field] || ''; });
+
+        if (!previous || previous.removed_at) {
+            diff.added.push({ profile_key: key, ...values, rejoined: Boolean(previous) });
+            history.set(key, {
+                profile_key: key,
+                profile_id: record.profile_id || '',
+                ...values,
+                first_seen: previous ? previous.first_seen : seenAt,
+                last_seen: seenAt,
+                removed_at: ''
+            });
+            continue;
+        }
+
+        const changes = diffFields(previous, record);
+        if (Object.keys(changes).length > 0) {
+            diff.changed.push({ profile_key: key, name: record.name, changes });
+        }
+        history.set(key, { ...previous, profile_id: record.profile_id || previous.profile_id, ...values, last_seen: seenAt });
+    }
+
+    for (const [key, row] of history) {
+        if (!current.has(key) && !row.removed_at) {
+            diff.removed.push({ profile_key: key, name: row.name, last_seen: row.last_seen });
+            history.set(key, { ...row, removed_at: seenAt });
+        }
+    }
+
+    // Write the history table through a temp file so an interrupted write keeps the old table
+    fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+    const tempFile = `${historyFile}.tmp`;
+    fs.writeFileSync(tempFile, new Parser({ fields: HISTORY_FIELDS, nullValue: '' }).parse(Array.from(history.values())));
+    fs.renameSync(tempFile, historyFile);
+
+    const timestamp = seenAt.replace(/[:.]/g, '-');
+    const diffFile = path.join(path.dirname(historyFile), `${query.name}_diff_${timestamp}.json`);
+    fs.writeFileSync(diffFile, JSON.stringify(diff, null, 2));
+
+    if (baseline) {
+        console.log(`Sync baseline recorded: ${diff.added.length} profiles in ${historyFile}`);
+    } else {
+        console.log(`Sync: ${diff.added.length} new, ${diff.removed.length} removed, ${diff.changed.length} changed profiles (diff: ${diffFile})`);
+    }
+
+    return {
+        historyFile,
+        diffFile,
+        added: diff.added.length,
+        removed: diff.removed.length,
+        changed: diff.changed.length
+    };
+}
+
+module.exports = {
+    TRACKED_FIELDS,
+    syncKey,
+    historyPath,
+    syncDataset
+};
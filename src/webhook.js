@@ -0,0 +1,200 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { syncKey } = require('./sync');
+const { mapRecords } = require('./crm');
+const { writeCheckpointFile, readCheckpointFile } = require('./checkpointStore');
+const { PROFILE_FIELDS, ENRICHMENT_FIELDS, fieldNames } = require('./schema');
+const { sleep } = require('./governor');
+const { InterruptedError } = require('./errors');
+
+/**
+ * Webhook sink
+ * POSTs new and changed profiles to a URL in batches, as JSON:
+ *   { event: 'profiles', query, sentAt, profiles: [{ change: 'new' | 'changed', key, profile }] }
+ * With a secret every request is signed: X-SearchFunder-Signature is
+ * "sha256=" + the hex HMAC-SHA256 of "<X-SearchFunder-Timestamp>.<body>".
+ * A delivery ledger keeps a hash of every profile delivered, by the profile's stable key
+ * (see sync.syncKey), so later runs only send what is new or has changed. The hash is taken
+ * over the schema fields as text, with empty values as null, so a profile read back from
+ * any sink hashes as it did when it was scraped. Failed requests are retried with backoff
+ * (honouring Retry-After), ending early when the run's `signal` aborts; a batch that still fails is appended to the dead-letter file, one profile per line, and
+ * stays out of the ledger. Run `deliver <dead-letter file>` to send it again.
+ */
+
+const DEFAULT_WEBHOOK = {
+    batchSize: 50,
+    retries: 4,
+    backoffMs: 1000, // Doubled on every further attempt
+    maxBackoffMs: 30000,
+    timeoutMs: 15000,
+    headers: {},
+    fieldMap: null // Payload key => record field (see crm.js); the whole record when not set
+};
+
+const SIGNATURE_HEADER = 'X-SearchFunder-Signature';
+const TIMESTAMP_HEADER = 'X-SearchFunder-Timestamp';
+
+// Statuses worth another try; any other error status goes to the dead-letter file straight away
+const RETRY_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Columns the dead-letter file adds to a profile
+const DELIVERY_FIELDS = ['delivery_error', 'delivery_failed_at'];
+
+/**
+ * Signature of a request body, as sent in the signature header
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks a signature from the signature and timestamp headers (for receivers)
+ */
+function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(signature || '');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function withoutDeliveryFields(record) {
+    const profile = { ...record };
+    DELIVERY_FIELDS.forEach(field => delete profile[field]);
+    return profile;
+}
+
+// Fields the change hash is taken over, in a fixed order
+const HASHED_FIELDS = fieldNames([...PROFILE_FIELDS, ...ENRICHMENT_FIELDS]).sort();
+
+/**
+ * Hash of a profile's schema fields. CSV reads give '' and text where the scraper had null,
+ * numbers or an empty list, so values are compared as text and empty ones as null.
+ */
+function hashProfile(record) {
+    const canonical = HASHED_FIELDS.map(field => {
+        const value = record[field];
+        if (value === undefined || value === null || value === '') return null;
+        if (Array.isArray(value)) return value.length > 0 ? JSON.stringify(value.map(String)) : null;
+        return String(value);
+    });
+    return crypto.createHash('sha1').update(JSON.stringify(canonical)).digest('hex');
+}
+
+/**
+ * Creates a webhook sink. `options` are DEFAULT_WEBHOOK plus url, secret, ledger and
+ * deadLetter (file paths), query (the name sent along) and the run's abort `signal`. Has the sink shape (open,
+ * write, close) and `stats` with the delivered, unchanged and dead-lettered counts.
+ */
+function createWebhookSink(options) {
+    const settings = { ...DEFAULT_WEBHOOK, ...options };
+    const stats = { delivered: 0, unchanged: 0, deadLettered: 0, requests: 0, retries: 0 };
+    let ledger = {};
+    let pending = [];
+
+    const toPayloadProfile = (record) => {
+        const profile = withoutDeliveryFields(record);
+        return settings.fieldMap ? mapRecords([profile], settings.fieldMap)[0] : profile;
+    };
+
+    const post = async (body) => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = { 'content-type': 'application/json', ...settings.headers, [TIMESTAMP_HEADER]: timestamp };
+        if (settings.secret) headers[SIGNATURE_HEADER] = signPayload(settings.secret, timestamp, body);
+
+        stats.requests++;
+        const response = await fetch(settings.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(settings.timeoutMs) });
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status} from ${settings.url}`);
+            error.status = response.status;
+            error.retryAfterMs = Number(response.headers.get('retry-after')) * 1000 || null;
+            throw error;
+        }
+    };
+
+    const deliver = async (batch) => {
+        const body = JSON.stringify({
+            event: 'profiles',
+            query: settings.query || null,
+            sentAt: new Date().toISOString(),
+            profiles: batch.map(({ change, key, profile }) => ({ change, key, profile }))
+        });
+
+        for (let attempt = 0; ; attempt++) {
+            // A stopping run sends nothing more; the batch goes to the dead-letter file
+            if (settings.signal && settings.signal.aborted) throw new InterruptedError();
+            try {
+                return await post(body);
+            } catch (error) {
+                const retryable = error.status === undefined || RETRY_STATUSES.has(error.status);
+                if (!retryable || attempt >= settings.retries) throw error;
+
+                const delay = error.retryAfterMs || Math.min(settings.maxBackoffMs, settings.backoffMs * 2 ** attempt);
+                stats.retries++;
+                console.warn(`Webhook delivery failed (${error.message}); retry ${attempt + 1}/${settings.retries} in ${delay}ms`);
+                await sleep(delay, settings.signal);
+            }
+        }
+    };
+
+    const flush = async () => {
+        while (pending.length > 0) {
+            const batch = pending.slice(0, settings.batchSize);
+            pending = pending.slice(batch.length);
+
+            try {
+                await deliver(batch);
+                batch.forEach(({ key, hash }) => { ledger[key] = hash; });
+                if (settings.ledger) writeCheckpointFile(settings.ledger, ledger);
+                stats.delivered += batch.length;
+                console.log(`Delivered ${batch.length} profiles to ${settings.url}`);
+            } catch (error) {
+                stats.deadLettered += batch.length;
+                console.error(`Webhook delivery of ${batch.length} profiles failed (${error.message}); written to ${settings.deadLetter}`);
+                if (settings.deadLetter) {
+                    const failedAt = new Date().toISOString();
+                    fs.appendFileSync(settings.deadLetter, batch
+                        .map(({ record }) => JSON.stringify({ ...record, delivery_error: error.message, delivery_failed_at: failedAt }) + '\n')
+                        .join(''));
+                }
+            }
+        }
+    };
+
+    return {
+        type: 'webhook',
+        filename: settings.ledger || null,
+        stats,
+
+        async open() {
+            ledger = (settings.ledger && readCheckpointFile(settings.ledger)) || {};
+            console.log(`Delivering new and changed profiles to ${settings.url} (${Object.keys(ledger).length} delivered before)`);
+        },
+
+        async write(records) {
+            if (!records || records.length === 0) return;
+            records.forEach(record => {
+                const profile = toPayloadProfile(record);
+                const key = syncKey(record);
+                const hash = hashProfile(withoutDeliveryFields(record));
+                if (ledger[key] === hash) {
+                    stats.unchanged++;
+                    return;
+                }
+                pending.push({ change: ledger[key] ? 'changed' : 'new', key, hash, profile, record: withoutDeliveryFields(record) });
+            });
+            if (pending.length >= settings.batchSize) await flush();
+        },
+
+        async close() {
+            await flush();
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_WEBHOOK,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    verifySignature,
+    createWebhookSink
+};
@@ -0,0 +1,83 @@
+/**
+ * Worker pool
+ * The pages a run works with, all in one browser and so sharing one login. A job's
+ * `concurrency` sets how many there are: that many queries are scraped at once, each on a
+ * page of its own, and a query's enrichment pass borrows the pages no other query is
+ * using to visit several profile pages at a time. Pages are opened when first needed.
+ */
+
+/**
+ * Creates a pool of up to `size` pages of `browser`. `setupPage(page)` prepares each new page.
+ */
+function createPagePool(browser, size, setupPage = async () => {}) {
+    const idle = [];
+    const waiting = [];
+    let opened = 0;
+
+    const open = async () => {
+        opened++;
+        try {
+            const page = await browser.newPage();
+            await setupPage(page);
+            return page;
+        } catch (error) {
+            opened--;
+            throw error;
+        }
+    };
+
+    return {
+        size,
+
+        /**
+         * A page to work with, waiting for one to be released when all are in use
+         */
+        async acquire() {
+            if (idle.length > 0) return idle.pop();
+            if (opened < size) return open();
+            return new Promise(resolve => waiting.push(resolve));
+        },
+
+        /**
+         * Up to `limit` pages that are free right now, without waiting
+         */
+        async borrowIdle(limit = size) {
+            const pages = idle.splice(0, limit);
+            while (pages.length < limit && opened < size) {
+                pages.push(await open());
+            }
+            return pages;
+        },
+
+        release(page) {
+            if (waiting.length > 0) waiting.shift()(page);
+            else idle.push(page);
+        }
+    };
+}
+
+/**
+ * Runs `work(item)` for every item with at most `concurrency` running at once.
+ * No new item starts once `shouldStop()` returns true or a `work` has failed; the first
+ * failure is thrown once the items already started have finished.
+ */
+async function runWorkers(items, concurrency, work, shouldStop = () => false) {
+    const queue = [...items];
+    let failure = null;
+    const worker = async () => {
+        while (queue.length > 0 && !failure && !shouldStop()) {
+            try {
+                await work(queue.shift());
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, queue.length)) }, worker));
+    if (failure) throw failure.error;
+}
+
+module.exports = {
+    createPagePool,
+    runWorkers
+};
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    writeCheckpointFile,
+    readCheckpointFile,
+    loadCheckpoint,
+    readCheckpoint,
+    updateCheckpoint,
+    openProcessedLog,
+    processedLogPath
+} = require('../src/checkpointStore');
+const { createRunState, shutdown } = require('../src/runState');
+const { ScraperError } = require('../src/errors');
+
+/**
+ * A checkpoint torn or corrupted mid-write falls back to the generation before it, a
+ * checkpoint that cannot be recovered stops the run, and stopping a run saves the
+ * checkpoint from its live position before the browser closes.
+ */
+
+test.mock.method(console, 'log', () => {});
+
+function checkpointIn(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'query.checkpoint.json');
+}
+
+test('a torn checkpoint falls back to the previous generation', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const file = checkpointIn(t);
+    writeCheckpointFile(file, { lastProfileIndex: 49 });
+    writeCheckpointFile(file, { lastProfileIndex: 99 });
+
+    // Killed halfway through writing the checkpoint in place
+    const contents = fs.readFileSync(file, 'utf8');
+    fs.writeFileSync(file, contents.slice(0, contents.length / 2));
+
+    assert.deepStrictEqual(readCheckpointFile(file), { lastProfileIndex: 49 });
+    assert.match(warn.mock.calls[0].arguments[0], /damaged or missing; using the backup/);
+});
+
+test('a corrupt or missing checkpoint resumes from the backup, with its processed log', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const file = checkpointIn(t);
+    writeCheckpointFile(file, { lastProfileIndex: 9, outputs: { csv: 'out.csv' } });
+    writeCheckpointFile(file, { lastProfileIndex: 19, outputs: { csv: 'out.csv' } });
+    openProcessedLog(processedLogPath(file)).add(['id:1', 'id:2']);
+
+    fs.writeFileSync(file, '\0\0\0\0');
+    const checkpoint = loadCheckpoint(file);
+    assert.strictEqual(checkpoint.lastProfileIndex, 9);
+    assert.deepStrictEqual(checkpoint.outputs, { csv: 'out.csv' });
+    assert.ok(checkpoint.processed.has('id:2'), 'the log is kept, not taken for a leftover');
+
+    fs.unlinkSync(file);
+    assert.strictEqual(loadCheckpoint(file).lastProfileIndex, 9);
+});
+
+test('a checkpoint with no readable generation stops the run instead of starting over', (t) => {
+    const file = checkpointIn(t);
+    writeCheckpointFile(file, { lastProfileIndex: 9 });
+    writeCheckpointFile(file, { lastProfileIndex: 19 });
+    fs.writeFileSync(file, '{"lastProfileIndex": 1');
+    fs.writeFileSync(`${file}.bak`, '');
+
+    assert.throws(() => loadCheckpoint(file), error => error instanceof ScraperError && /Unreadable checkpoint/.test(error.message));
+    assert.match(readCheckpoint(file).error, /reset-checkpoint/);
+    assert.strictEqual(readCheckpoint(path.join(path.dirname(file), 'none.json')), null);
+});
+
+test('a processed log cut off mid-line starts the next key on a line of its own', (t) => {
+    const log = processedLogPath(checkpointIn(t));
+    fs.writeFileSync(log, 'id:1\nid:2\nid:');
+
+    const processed = openProcessedLog(log);
+    processed.add(['id:3']);
+
+    assert.deepStrictEqual(fs.readFileSync(log, 'utf8').split('\n'), ['id:1', 'id:2', 'id:', 'id:3', '']);
+    assert.ok(openProcessedLog(log).has('id:3'));
+});
+
+test('shutdown saves every writer\'s checkpoint from its live position, then closes the browser', async (t) => {
+    const file = checkpointIn(t);
+    const query = { name: 'query', url: 'https://searchfunder.com/directory', checkpoint: file };
+    const processed = openProcessedLog(processedLogPath(file));
+    const state = createRunState();
+    const order = [];
+
+    // A writer the run has moved on since the query started
+    const position = { lastProfileKey: null, cursor: null };
+    state.writers.add({
+        saveCheckpoint() {
+            order.push('checkpoint');
+            updateCheckpoint(query, 149, { csv: 'out.csv' }, processed, position);
+        }
+    });
+    processed.add(['id:149', 'id:150']);
+    position.lastProfileKey = 'id:150';
+    position.cursor = { name: 'page', value: 4 };
+    state.browser = { close: async () => { order.push('browser'); } };
+
+    assert.strictEqual(await shutdown(state, 'SIGINT'), true);
+    assert.deepStrictEqual(order, ['checkpoint', 'browser']);
+    assert.strictEqual(state.signal.aborted, true);
+    assert.strictEqual(state.stopping, 'SIGINT');
+
+    const saved = readCheckpoint(file);
+    assert.strictEqual(saved.lastProfileIndex, 149);
+    assert.strictEqual(saved.lastProfileKey, 'id:150');
+    assert.deepStrictEqual(saved.cursor, { name: 'page', value: 4 });
+    assert.strictEqual(saved.processedCount, 2);
+
+    // A second signal does not save again
+    assert.strictEqual(await shutdown(state, 'SIGTERM'), false);
+    assert.deepStrictEqual(order, ['checkpoint', 'browser']);
+});
+
+test('a browser that fails to close does not stop the shutdown', async () => {
+    const state = createRunState();
+    let saved = 0;
+    state.writers.add({ saveCheckpoint: () => { saved++; } });
+    state.writers.add({ saveCheckpoint: () => { saved++; } });
+    state.browser = { close: async () => { throw new Error('Target closed'); } };
+
+    assert.strictEqual(await shutdown(state, 'stop'), true);
+    assert.strictEqual(saved, 2);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCli } = require('../src/cli');
+const { scrapeSearchFunder } = require('../src/api');
+const { writeCheckpointFile } = require('../src/checkpointStore');
+
+/**
+ * The CLI and the library leave the process as they found it: runCli puts the console
+ * back and keeps stdout for the --json summary, and awaiting a run gives back the run,
+ * not its summary. `status` reports each query's checkpoints as they are.
+ */
+
+test('runCli puts the console back, however often it runs', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(process.stdout, 'write', () => true);
+    const before = { ...console };
+
+    // --json sends the logs to stderr; the report fails without datasets
+    assert.strictEqual(await runCli(['report', '--json', '--log-format', 'json']), 2);
+    assert.strictEqual(await runCli(['report', '--json']), 2);
+
+    ['debug', 'log', 'info', 'warn', 'error'].forEach(method => assert.strictEqual(console[method], before[method], method));
+});
+
+test('--json leaves stdout to the JSON summary, whatever level a line is logged at', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const jobFile = path.join(dir, 'jobs.yaml');
+    // A city without coordinates is a warning
+    fs.writeFileSync(jobFile, ['queries:', '  - name: austin', '    filters:', '      city: Austin, TX, USA', `    checkpoint: ${path.join(dir, 'austin.checkpoint.json')}`].join('\n'));
+
+    // Something the command runs logs at debug level
+    const existsSync = fs.existsSync;
+    t.mock.method(fs, 'existsSync', (file) => {
+        console.debug(`Looking for ${file}`);
+        return existsSync(file);
+    });
+
+    const stdout = [];
+    const stderr = [];
+    const out = t.mock.method(process.stdout, 'write', (chunk) => { stdout.push(String(chunk)); return true; });
+    const err = t.mock.method(process.stderr, 'write', (chunk) => { stderr.push(String(chunk)); return true; });
+    const exitCode = await runCli(['status', jobFile, '--json', '--log-level', 'debug']);
+    out.mock.restore();
+    err.mock.restore();
+
+    assert.strictEqual(exitCode, 0);
+    assert.deepStrictEqual(JSON.parse(stdout.join('')).queries.map(query => [query.name, query.state]), [['austin', 'idle']]);
+    assert.match(stderr.join(''), /Looking for .*jobs\.yaml/);
+    assert.match(stderr.join(''), /Query "austin": city "Austin, TX, USA" has no lat\/lng/);
+});
+
+test('status tells a query being scraped from one with only its enrichment left', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const jobFile = path.join(dir, 'jobs.yaml');
+    const url = 'https://searchfunder.com/directory?roles_arr=searcher';
+    fs.writeFileSync(jobFile, [`checkpointDir: ${dir}`, 'queries:', ...['scraping', 'enriching', 'idle'].flatMap(name => [`  - name: ${name}`, `    url: ${url}`])].join('\n'));
+    writeCheckpointFile(path.join(dir, 'scraping.checkpoint.json'), { lastProfileIndex: 41, processedCount: 42, cursor: { type: 'page', page: 3 } });
+    writeCheckpointFile(path.join(dir, 'enriching.enrich.checkpoint.json'), { source: 'output/enriching.csv', processedCount: 7 });
+    const log = t.mock.method(console, 'log', () => {});
+
+    assert.strictEqual(await runCli(['status', jobFile]), 0);
+
+    assert.deepStrictEqual(log.mock.calls.map(call => call.arguments[0]).slice(1), [
+        'scraping: in-progress (42 profiles processed, last index 41, resumes at endpoint page 3)',
+        'enriching: in-progress (7 enriched)',
+        'idle: idle (no checkpoint)'
+    ]);
+});
+
+test('--max-profiles 0 is a usage error, not a run without a limit', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+
+    assert.strictEqual(await runCli(['scrape', '--url', 'https://searchfunder.com/directory', '--max-profiles', '0']), 2);
+    assert.match(error.mock.calls[0].arguments[0], /--max-profiles must be 1 or more/);
+});
+
+test('login --fresh deletes the saved session first', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const sessionFile = path.join(dir, 'stale.session');
+    fs.writeFileSync(sessionFile, 'stale');
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    // Without SESSION_SECRET the login itself stops with a usage error, before any browser starts
+    const secret = process.env.SESSION_SECRET;
+    delete process.env.SESSION_SECRET;
+    t.after(() => { if (secret !== undefined) process.env.SESSION_SECRET = secret; });
+
+    assert.strictEqual(await runCli(['login', '--fresh', '--session-file', sessionFile]), 2);
+    assert.strictEqual(fs.existsSync(sessionFile), false);
+});
+
+test('a run is an emitter with a done promise, not a promise itself', async () => {
+    const run = scrapeSearchFunder({ name: 'no-directory' });
+    run.on('error', () => {});
+
+    assert.strictEqual(await run, run);
+    await assert.rejects(run.done, { type: 'usage' });
+});
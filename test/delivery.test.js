@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { createSink, readRecords } = require('../src/sinks');
+const { normalizeRecord } = require('../src/normalize');
+const { CRM_FORMATS, exportCrm } = require('../src/crm');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, verifySignature, createWebhookSink } = require('../src/webhook');
+
+/**
+ * The CRM exports and the webhook sink, offline. The profiles in fixtures/delivery/records.jsonl
+ * are exported to every CRM format and compared with <format>.expected.csv, then delivered
+ * to a local stand-in for a webhook receiver that checks every signature and fails on cue,
+ * to see retries, dedupe against the ledger and the dead-letter file at work.
+ */
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'delivery');
+
+const STAND_IN_SECRET = 'stand-in-secret';
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+
+/**
+ * Starts a webhook receiver on 127.0.0.1 (a free port). `statusFor(n)` gives the status
+ * of the n-th request (from 0). Every request is kept in `received` as
+ * { status, signatureValid, body }. Resolves with { url, received, close() }.
+ */
+function startWebhookStandIn({ secret = STAND_IN_SECRET, statusFor = () => 200 } = {}) {
+    const received = [];
+
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const status = statusFor(received.length);
+            received.push({
+                status,
+                signatureValid: verifySignature(secret, request.headers[TIMESTAMP_HEADER.toLowerCase()], body, request.headers[SIGNATURE_HEADER.toLowerCase()]),
+                body: JSON.parse(body)
+            });
+            response.writeHead(status, { 'content-type': 'application/json' });
+            response.end(JSON.stringify({ ok: status < 300 }));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/hook`,
+                received,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Delivers records through a webhook sink to a stand-in answering with `statusFor`.
+ * Returns { stats, received }.
+ */
+async function deliverToStandIn(records, settings, statusFor, options = {}) {
+    const standIn = await startWebhookStandIn({ statusFor });
+    try {
+        const sink = createWebhookSink({ ...settings, ...options, url: standIn.url, secret: STAND_IN_SECRET });
+        await sink.open();
+        await sink.write(records);
+        await sink.close();
+        return { stats: sink.stats, received: standIn.received };
+    } finally {
+        await standIn.close();
+    }
+}
+
+function workDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'delivery-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function webhookSettings(dir) {
+    return {
+        query: 'delivery-test',
+        batchSize: 2,
+        retries: 2,
+        backoffMs: 10,
+        ledger: path.join(dir, 'delivered.json'),
+        deadLetter: path.join(dir, 'dead_letter.jsonl')
+    };
+}
+
+Object.keys(CRM_FORMATS).forEach(format => {
+    test(`exports the ${format} CSV`, async (t) => {
+        const records = await readRecords(path.join(FIXTURE_DIR, 'records.jsonl'));
+        const { filename } = exportCrm(records, format, path.join(workDir(t), `${format}.csv`));
+
+        assert.strictEqual(fs.readFileSync(filename, 'utf8'), fs.readFileSync(path.join(FIXTURE_DIR, `${format}.expected.csv`), 'utf8'));
+    });
+});
+
+test('signs every batch and retries a failed one', async (t) => {
+    const records = await readRecords(path.join(FIXTURE_DIR, 'records.jsonl'));
+    const settings = webhookSettings(workDir(t));
+
+    // The receiver fails once, so the first batch is sent twice
+    const { stats, received } = await deliverToStandIn(records, settings, n => (n === 0 ? 503 : 200));
+    const accepted = received.filter(request => request.status === 200);
+    const sent = accepted.flatMap(request => request.body.profiles);
+
+    assert.ok(received.every(request => request.signatureValid), 'every signature is valid');
+    assert.strictEqual(stats.retries, 1);
+    assert.strictEqual(accepted.length, Math.ceil(records.length / settings.batchSize));
+    assert.strictEqual(sent.length, records.length);
+    assert.ok(sent.every(profile => profile.change === 'new'));
+    assert.strictEqual(stats.delivered, records.length);
+});
+
+test('sends only the changed profiles again', async (t) => {
+    const records = await readRecords(path.join(FIXTURE_DIR, 'records.jsonl'));
+    const settings = webhookSettings(workDir(t));
+    await deliverToStandIn(records, settings, () => 200);
+
+    const changed = records.map((record, index) => (index === 0 ? { ...record, occupation: 'Searcher (acquired)' } : record));
+    const { stats, received } = await deliverToStandIn(changed, settings, () => 200);
+    const resent = received.flatMap(request => request.body.profiles);
+
+    assert.strictEqual(resent.length, 1);
+    assert.strictEqual(resent[0].change, 'changed');
+    assert.strictEqual(stats.unchanged, records.length - 1);
+});
+
+test('a profile without an ID that edits its headline is sent as changed', async (t) => {
+    const settings = webhookSettings(workDir(t));
+    const profile = { profile_id: null, name: 'Sam Lee', occupation: 'Searcher', linkedIn_url: 'https://www.linkedin.com/in/samlee' };
+    await deliverToStandIn([profile], settings, () => 200);
+
+    const { received } = await deliverToStandIn([{ ...profile, occupation: 'CEO at Acme' }], settings, () => 200);
+    const resent = received.flatMap(request => request.body.profiles);
+
+    assert.deepStrictEqual(resent.map(({ change }) => change), ['changed']);
+});
+
+test('a profile read back from the CSV of the run is not sent again', async (t) => {
+    const dir = workDir(t);
+    const settings = webhookSettings(dir);
+    const scraped = (await readRecords(path.join(FIXTURE_DIR, 'records.jsonl'))).map(record => normalizeRecord({ ...record, website_url: null }));
+
+    // As during a scrape: the batch goes to the CSV sink and the webhook together
+    const csv = createSink('csv', path.join(dir, 'run.csv'));
+    await csv.open();
+    await csv.write(scraped);
+    await csv.close();
+    await deliverToStandIn(scraped, settings, () => 200);
+
+    // Then `deliver run.csv`
+    const { stats, received } = await deliverToStandIn(await readRecords(path.join(dir, 'run.csv')), settings, () => 200);
+
+    assert.strictEqual(received.length, 0);
+    assert.strictEqual(stats.unchanged, scraped.length);
+});
+
+test('a stopped run ends the retry backoff and dead-letters the batch', async (t) => {
+    const records = await readRecords(path.join(FIXTURE_DIR, 'records.jsonl'));
+    const settings = { ...webhookSettings(workDir(t)), retries: 5, backoffMs: 60000 };
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+
+    const started = Date.now();
+    const { stats, received } = await deliverToStandIn([records[0]], settings, () => 503, { signal: controller.signal });
+
+    assert.ok(Date.now() - started < 5000, 'the backoff ended with the run');
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(stats.deadLettered, 1);
+});
+
+test('leaves a rejected batch in the dead-letter file', async (t) => {
+    const records = await readRecords(path.join(FIXTURE_DIR, 'records.jsonl'));
+    const settings = webhookSettings(workDir(t));
+
+    const { stats, received } = await deliverToStandIn([records[1]], settings, () => 400);
+    const deadLetters = await readRecords(settings.deadLetter);
+
+    assert.strictEqual(received.length, 1, 'a 400 is not retried');
+    assert.strictEqual(stats.deadLettered, 1);
+    assert.strictEqual(deadLetters.length, 1);
+    assert.match(deadLetters[0].delivery_error, /HTTP 400/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DIRECTORY_BASE_URL, buildDirectoryUrl, parseDirectoryUrl, validateFilters } = require('../src/directoryUrl');
+
+/**
+ * Directory URLs and filters turn into each other without losing a parameter, and filters
+ * that cannot make a working URL are refused.
+ */
+
+const NYC_URL = 'https://searchfunder.com/directory?roles_arr=searcher&city=New%20York%20City,%20NY,%20USA&lat=40.7127753&lng=-74.0059728&regions_arr=United%20States';
+
+test('a directory URL parses into filters and builds back into the same URL', () => {
+    const filters = parseDirectoryUrl(NYC_URL);
+
+    assert.deepStrictEqual(filters, {
+        roles: ['searcher'],
+        city: 'New York City, NY, USA',
+        lat: 40.7127753,
+        lng: -74.0059728,
+        regions: ['United States']
+    });
+    assert.strictEqual(buildDirectoryUrl(filters), NYC_URL);
+});
+
+test('parameters the builder does not model survive the round trip under extra', () => {
+    const url = `${NYC_URL}&sort=newest&industry=software&industry=healthcare`;
+    const filters = parseDirectoryUrl(url);
+
+    assert.deepStrictEqual(filters.extra, { sort: 'newest', industry: ['software', 'healthcare'] });
+    assert.strictEqual(buildDirectoryUrl(filters), url);
+    assert.deepStrictEqual(parseDirectoryUrl(buildDirectoryUrl(filters)), filters);
+});
+
+test('multi-value filters read repeated or comma separated, and loose filters are coerced', () => {
+    assert.deepStrictEqual(parseDirectoryUrl(`${DIRECTORY_BASE_URL}?roles_arr=searcher,investor`).roles, ['searcher', 'investor']);
+    assert.deepStrictEqual(parseDirectoryUrl(`${DIRECTORY_BASE_URL}?roles_arr=searcher&roles_arr=investor`).roles, ['searcher', 'investor']);
+
+    // Region names can hold commas of their own
+    assert.deepStrictEqual(parseDirectoryUrl(`${DIRECTORY_BASE_URL}?regions_arr=Washington,%20DC`).regions, ['Washington, DC']);
+
+    assert.strictEqual(
+        buildDirectoryUrl({ role: 'investor', city: 'Boston, MA, USA', lat: '42.36', lng: '-71.05' }),
+        `${DIRECTORY_BASE_URL}?roles_arr=investor&city=Boston,%20MA,%20USA&lat=42.36&lng=-71.05`
+    );
+    assert.strictEqual(buildDirectoryUrl({}), DIRECTORY_BASE_URL);
+});
+
+test('URLs that are not SearchFunder directory URLs are refused', () => {
+    assert.throws(() => parseDirectoryUrl('not a url'), /Invalid directory URL/);
+    assert.throws(() => parseDirectoryUrl('https://example.com/directory'), /Not a SearchFunder directory URL/);
+    assert.throws(() => parseDirectoryUrl('https://searchfunder.com/profile/1'), /Not a SearchFunder directory URL/);
+});
+
+test('filters that cannot make a working URL are errors, a city without coordinates a warning', () => {
+    const errorsOf = filters => validateFilters(filters).errors;
+
+    assert.deepStrictEqual(errorsOf({ roles: ['searcher'], city: 'Austin, TX, USA', lat: 30.27, lng: -97.74 }), []);
+    assert.match(errorsOf({ roles: ['Search Fund'] })[0], /lowercase role key/);
+    assert.match(errorsOf({ city: 'Nowhere', lat: 91, lng: 0 })[0], /lat must be a number between -90 and 90/);
+    assert.match(errorsOf({ city: 'Nowhere', lat: 0, lng: 'east' })[0], /lng must be a number between -180 and 180/);
+    assert.deepStrictEqual(errorsOf({ city: 'Austin, TX, USA', lat: 30.27 }), ['lat and lng must be given together']);
+    assert.deepStrictEqual(errorsOf({ lat: 30.27, lng: -97.74 }), ['lat and lng need a city to go with them']);
+    assert.match(errorsOf({ extra: { roles_arr: 'investor' } })[0], /extra parameter "roles_arr" is a filter of its own/);
+
+    assert.deepStrictEqual(validateFilters({ city: 'Austin, TX, USA' }), {
+        errors: [],
+        warnings: ['city "Austin, TX, USA" has no lat/lng; the directory may not apply its location radius']
+    });
+    assert.throws(() => buildDirectoryUrl({ roles: ['Search Fund'] }), /Invalid directory filters: role "Search Fund"/);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { enrichProfiles, enrichmentCheckpointPath } = require('../src/enrichment');
+const { createGovernor } = require('../src/governor');
+const { readCheckpoint } = require('../src/checkpointStore');
+const { readRecords } = require('../src/sinks');
+const { InterruptedError } = require('../src/errors');
+
+/**
+ * The enrichment pass on a stand-in page whose detail pages can be made to fail: failed
+ * profiles are left for the next pass until they run out of attempts, the pause between
+ * detail pages holds across pages, and a stopped run ends it.
+ */
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const PROFILES = [
+    { profile_id: '1', name: 'Ana Ruiz', occupation: 'Searcher', profile_url: 'https://searchfunder.com/profile/1' },
+    { profile_id: '2', name: 'Ben Okafor', occupation: 'Searcher', profile_url: 'https://searchfunder.com/profile/2' },
+    { profile_id: '3', name: 'Cleo Park', occupation: 'Investor', profile_url: 'https://searchfunder.com/profile/3' }
+];
+
+function setUp(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrichment-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const source = path.join(dir, 'profiles.jsonl');
+    fs.writeFileSync(source, PROFILES.map(profile => JSON.stringify(profile)).join('\n') + '\n');
+    const query = { name: 'enrich-test', url: 'https://searchfunder.com/directory', checkpoint: path.join(dir, 'enrich-test.checkpoint.json'), sinks: ['jsonl'] };
+    return { query, source };
+}
+
+/**
+ * A page whose detail pages load, except those in `failing`
+ */
+function detailPage(failing = new Set()) {
+    let current = 'about:blank';
+    return {
+        opened: [],
+        openedAt: [],
+        url: () => current,
+        async goto(url) {
+            this.opened.push(url);
+            this.openedAt.push(Date.now());
+            if (failing.has(url)) throw new Error('net::ERR_CONNECTION_RESET');
+            current = url;
+            return { status: () => 200, url: () => url };
+        },
+        // Reads the detail fields; the governor's block check finds nothing
+        async evaluate(fn, fieldLabels) {
+            return fieldLabels && fieldLabels.bio ? { bio: `Bio of ${current}` } : null;
+        }
+    };
+}
+
+const options = { minDelayMs: 0, maxDelayMs: 0, governor: createGovernor({ intervalMs: 0, jitterMs: 0, retries: 0 }) };
+
+test('a profile whose detail page fails is tried again on the next pass', async (t) => {
+    const { query, source } = setUp(t);
+
+    const first = await enrichProfiles(detailPage(new Set([PROFILES[1].profile_url])), query, source, options);
+    assert.strictEqual(first.profilesEnriched, 2);
+    assert.strictEqual(first.enrichmentFailures, 1);
+    assert.strictEqual(readCheckpoint(enrichmentCheckpointPath(query)).processedCount, 2, 'the checkpoint is kept');
+
+    const page = detailPage();
+    const second = await enrichProfiles(page, query, source, options);
+    assert.deepStrictEqual(page.opened, [PROFILES[1].profile_url]);
+    assert.strictEqual(second.enrichmentFailures, 0);
+    assert.strictEqual(readCheckpoint(enrichmentCheckpointPath(query)), null);
+
+    const enriched = await readRecords(first.enrichedOutput);
+    assert.deepStrictEqual(enriched.map(record => record.profile_id).sort(), ['1', '2', '3']);
+    assert.ok(enriched.every(record => record.bio === `Bio of ${record.profile_url}`));
+});
+
+test('a detail page that keeps failing is given up on after maxAttempts passes', async (t) => {
+    const { query, source } = setUp(t);
+    const dead = new Set([PROFILES[2].profile_url]);
+
+    const first = await enrichProfiles(detailPage(dead), query, source, { ...options, maxAttempts: 2 });
+    assert.strictEqual(first.enrichmentFailures, 1);
+    assert.deepStrictEqual(readCheckpoint(enrichmentCheckpointPath(query)).failures, { 'id:3': 1 });
+
+    const second = await enrichProfiles(detailPage(dead), query, source, { ...options, maxAttempts: 2 });
+    assert.strictEqual(second.enrichmentFailures, 1);
+    assert.strictEqual(second.profilesEnriched, 0);
+    assert.strictEqual(readCheckpoint(enrichmentCheckpointPath(query)), null, 'the query is not held by the dead page');
+
+    const enriched = await readRecords(first.enrichedOutput);
+    assert.deepStrictEqual(enriched.map(record => record.profile_id).sort(), ['1', '2', '3']);
+    assert.strictEqual(enriched.find(record => record.profile_id === '3').bio, null);
+});
+
+test('the pause between detail pages holds across pages', async (t) => {
+    const { query, source } = setUp(t);
+    const pages = [detailPage(), detailPage()];
+
+    await enrichProfiles(pages[0], query, source, { ...options, pages, minDelayMs: 100, maxDelayMs: 100 });
+
+    const openedAt = pages.flatMap(page => page.openedAt).sort((a, b) => a - b);
+    assert.strictEqual(openedAt.length, PROFILES.length);
+    openedAt.slice(1).forEach((at, index) => assert.ok(at - openedAt[index] >= 90, `${at - openedAt[index]}ms between detail pages`));
+});
+
+test('a stopped run ends the pause between detail pages', async (t) => {
+    const { query, source } = setUp(t);
+    const controller = new AbortController();
+    const governor = createGovernor({ intervalMs: 0, jitterMs: 0, retries: 0, signal: controller.signal });
+    const page = detailPage();
+
+    const started = Date.now();
+    const pass = enrichProfiles(page, query, source, { minDelayMs: 60000, maxDelayMs: 60000, governor });
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(pass, InterruptedError);
+    assert.ok(Date.now() - started < 5000, 'the pause ended with the run');
+    assert.strictEqual(page.opened.length, 1);
+});
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { EventEmitter } = require('events');
+const { DEFAULT_SELECTORS, extractCards } = require('../src/selectors');
+const { pageParamOf, recordsFromBody } = require('../src/directoryApi');
+
+/**
+ * The directory, offline. A local stand-in for the site serves recorded directory responses
+ * (<path>_<param>-<n>.json files as saved with `recordResponses`) from disk, with the
+ * directory page, fonts and profile pictures around them. A stand-in for a logged-in
+ * puppeteer page browses it: the page keeps the site's URLs, while every request it makes
+ * (the document, its fonts and pictures, the infinite scroll's XHRs and fetches run inside
+ * the page) goes over HTTP to the stand-in, through request interception and the request
+ * and response events as in a browser. Opening the directory loads its first page, every
+ * scroll loads the next one, and the cards read from the page are the records of the pages
+ * loaded so far. Functions evaluated in the page run in a context of their own with the
+ * page's fetch, so directoryApi.pageFetcher runs as it is.
+ */
+
+const PROFILE_URL_TEMPLATE = 'https://searchfunder.com/profile/{id}';
+
+const EMPTY_PAGE = { data: { users: [] } };
+
+/**
+ * Reads the recorded responses of a directory, ordered by page
+ */
+function readRecordings(dir) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json') && file !== 'expected.json')
+        .map(file => {
+            const recording = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            return { url: recording.url, param: pageParamOf(recording.url), body: recording.body };
+        })
+        .sort((a, b) => a.param.value - b.param.value);
+}
+
+/**
+ * A JSON response event for `url`, as puppeteer gives them
+ */
+function jsonResponse(url, body, { resourceType = 'xhr', status = 200 } = {}) {
+    return {
+        url: () => url,
+        status: () => status,
+        headers: () => ({ 'content-type': 'application/json' }),
+        request: () => ({ resourceType: () => resourceType }),
+        json: async () => body
+    };
+}
+
+/**
+ * Starts the stand-in site on 127.0.0.1 (a free port). The endpoint of the recordings
+ * answers with the recorded page asked for, or an empty page past the last one. With
+ * `endpointAvailable: false` it only answers the directory's own XHRs and gives requests
+ * made from elsewhere a 404, as when the endpoint has gone away. Every path served is kept
+ * in `served`. Resolves with { origin, recordings, served, close() }.
+ */
+function startDirectoryStandIn(recordings, { endpointAvailable = true } = {}) {
+    const endpointPath = new URL(recordings[0].url).pathname;
+    const served = [];
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://stand-in');
+        served.push(url.pathname);
+        const send = (status, type, body) => {
+            response.writeHead(status, { 'content-type': type });
+            response.end(body);
+        };
+
+        if (url.pathname === endpointPath) {
+            if (!endpointAvailable && request.headers['x-requested-with'] !== 'XMLHttpRequest') {
+                return send(404, 'application/json', JSON.stringify({ error: 'not found' }));
+            }
+            const param = pageParamOf(url.href);
+            const recording = recordings.find(candidate => candidate.param.value === param.value);
+            return send(200, 'application/json', JSON.stringify(recording ? recording.body : EMPTY_PAGE));
+        }
+        if (url.pathname === '/directory') return send(200, 'text/html', '<html><body><div id="directory"></div></body></html>');
+        if (url.pathname.startsWith('/avatars/')) return send(200, 'image/png', Buffer.alloc(16));
+        if (url.pathname.startsWith('/fonts/')) return send(200, 'font/woff2', Buffer.alloc(16));
+        return send(404, 'text/plain', 'not found');
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                origin: `http://127.0.0.1:${server.address().port}`,
+                recordings,
+                served,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * A page browsing the stand-in. `directory` counts the directory pages `loaded`, the URLs
+ * `fetched` from inside the page and the requests interception `aborted`.
+ */
+function createFakePage(standIn) {
+    const page = new EventEmitter();
+    const directory = { loaded: 0, fetched: [], aborted: [] };
+    let loadedBodies = [];
+    let interception = false;
+    let currentUrl = 'about:blank';
+
+    // Requests keep the site's URL; the stand-in answers them
+    const request = async (url, resourceType, init = {}) => {
+        let resolution = null;
+        const pending = {
+            url: () => url,
+            resourceType: () => resourceType,
+            isInterceptResolutionHandled: () => resolution !== null,
+            abort: () => { resolution = 'abort'; },
+            continue: () => { resolution = 'continue'; }
+        };
+        page.emit('request', pending);
+
+        if (interception && resolution === null) throw new Error(`Intercepted request for ${url} was never continued or aborted`);
+        if (interception && resolution === 'abort') {
+            directory.aborted.push(url);
+            return null;
+        }
+
+        const site = new URL(url);
+        const response = await fetch(`${standIn.origin}${site.pathname}${site.search}`, init);
+        const text = await response.text();
+        const headers = Object.fromEntries(response.headers);
+        page.emit('response', {
+            url: () => url,
+            status: () => response.status,
+            headers: () => headers,
+            request: () => pending,
+            json: async () => JSON.parse(text),
+            text: async () => text
+        });
+        return { status: response.status, headers, text };
+    };
+
+    // The infinite scroll: the next page of the directory's endpoint, then its profile pictures
+    const loadNextPage = async () => {
+        const recording = standIn.recordings[directory.loaded];
+        if (!recording) return;
+
+        const loaded = await request(recording.url, 'xhr', { headers: { 'x-requested-with': 'XMLHttpRequest' } });
+        const body = JSON.parse(loaded.text);
+        loadedBodies.push(body);
+        directory.loaded++;
+
+        for (const record of recordsFromBody(body, DEFAULT_SELECTORS.api, PROFILE_URL_TEMPLATE)) {
+            await request(`https://searchfunder.com/avatars/${record.profile_id}.png`, 'image');
+        }
+    };
+
+    const cards = (fromIndex, profileUrlTemplate) => loadedBodies
+        .flatMap(body => recordsFromBody(body, DEFAULT_SELECTORS.api, profileUrlTemplate))
+        .map((record, index) => ({ index, record, fallbacks: {} }))
+        .slice(fromIndex);
+
+    // fetch() inside the page
+    const pageFetch = async (url, init = {}) => {
+        directory.fetched.push(url);
+        const { status, headers, text } = await request(url, 'fetch', { headers: init.headers });
+        return new Response(text, { status, headers });
+    };
+
+    Object.assign(page, {
+        directory,
+        get interception() {
+            return interception;
+        },
+        url: () => currentUrl,
+        async goto(url) {
+            currentUrl = url;
+            directory.loaded = 0;
+            loadedBodies = [];
+            const document = await request(url, 'document');
+            await request('https://searchfunder.com/fonts/app.woff2', 'font');
+            await loadNextPage();
+            return { status: () => document.status, url: () => url };
+        },
+        async waitForSelector() {},
+        async setRequestInterception(value) {
+            interception = value;
+        },
+        async evaluate(fn, ...args) {
+            if (fn === 'document.body.scrollHeight') return directory.loaded * 1000;
+            if (fn === 'window.scrollTo(0, document.body.scrollHeight)') return loadNextPage();
+            if (fn === extractCards) return cards(args[1], args[2]);
+
+            // Arguments cross into the page as JSON; the page has no document
+            const inPage = vm.runInNewContext(`(${fn})`, { fetch: pageFetch, setTimeout, JSON });
+            return inPage(...args.map(arg => (arg === undefined ? arg : JSON.parse(JSON.stringify(arg)))));
+        }
+    });
+    return page;
+}
+
+module.exports = {
+    PROFILE_URL_TEMPLATE,
+    readRecordings,
+    jsonResponse,
+    startDirectoryStandIn,
+    createFakePage
+};
@@ -0,0 +1,259 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { EventEmitter } = require('events');
+const { createGovernor, detectBlock, parseRetryAfter } = require('../src/governor');
+const { pageFetcher } = require('../src/directoryApi');
+const { BlockedError, LoggedOutError } = require('../src/errors');
+
+/**
+ * The governor on a fake clock: transient failures are retried with exponential backoff,
+ * rate limits are waited out for as long as Retry-After asks (or not at all with
+ * `onBlock: 'abort'`), and block pages, 403s and the page's own throttled XHRs stop it.
+ */
+
+test.mock.method(console, 'warn', () => {});
+
+/**
+ * Runs the fake clock forward `stepMs` at a time until `promise` settles
+ */
+async function settle(t, promise, stepMs = 1000) {
+    let settled = false;
+    promise.then(() => { settled = true; }, () => { settled = true; });
+    while (!settled) {
+        await new Promise(resolve => setImmediate(resolve));
+        if (!settled) t.mock.timers.tick(stepMs);
+    }
+    return promise;
+}
+
+function fakeClock(t) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+}
+
+/**
+ * A page showing `title` and `text`, with an element for each of `selectors`. Functions
+ * evaluated in it run against its document.
+ */
+function blockPage({ title = '', text = '', selectors = [] } = {}) {
+    const page = new EventEmitter();
+    const document = {
+        title,
+        body: { innerText: text },
+        querySelector: selector => (selectors.includes(selector) ? {} : null)
+    };
+    return Object.assign(page, {
+        url: () => 'https://searchfunder.com/directory',
+        async evaluate(fn, ...args) {
+            return vm.runInNewContext(`(${fn})`, { document })(...args);
+        }
+    });
+}
+
+/**
+ * A page whose in-page fetch answers with `answers` in turn ({ status, retryAfter, body })
+ */
+function fetchPage(answers) {
+    const page = { fetched: 0 };
+    page.evaluate = async () => {
+        const answer = answers[Math.min(page.fetched++, answers.length - 1)];
+        return { retryAfter: null, body: null, ...answer };
+    };
+    return page;
+}
+
+const quick = { intervalMs: 0, jitterMs: 0 };
+
+test('a transient failure is retried with exponential backoff', async (t) => {
+    fakeClock(t);
+    const governor = createGovernor({ ...quick, retries: 3, backoffMs: 1000 });
+    const calls = [];
+
+    const result = await settle(t, governor.retry('Fetching', async () => {
+        calls.push(Date.now());
+        if (calls.length < 3) throw new Error('net::ERR_CONNECTION_RESET');
+        return 'ok';
+    }));
+
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(calls, [0, 1000, 3000]);
+    assert.strictEqual(governor.stats.retries, 2);
+});
+
+test('retries run out, and errors that are not transient are not retried', async (t) => {
+    fakeClock(t);
+    const governor = createGovernor({ ...quick, retries: 2, backoffMs: 1000 });
+
+    let attempts = 0;
+    await assert.rejects(settle(t, governor.retry('Fetching', async () => {
+        attempts++;
+        throw new Error('socket hang up');
+    })), /socket hang up/);
+    assert.strictEqual(attempts, 3);
+
+    attempts = 0;
+    await assert.rejects(governor.retry('Parsing', async () => {
+        attempts++;
+        throw new TypeError('not JSON');
+    }), TypeError);
+    assert.strictEqual(attempts, 1);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', (t) => {
+    fakeClock(t);
+    t.mock.timers.tick(5000);
+
+    assert.strictEqual(parseRetryAfter('120'), 120000);
+    assert.strictEqual(parseRetryAfter(new Date(65000).toUTCString()), 60000);
+    assert.strictEqual(parseRetryAfter(new Date(0).toUTCString()), 0, 'a date gone by asks for no wait');
+    assert.strictEqual(parseRetryAfter(''), null);
+    assert.strictEqual(parseRetryAfter(null), null);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+});
+
+test('a 429 pauses for as long as its Retry-After asks, then tries again', async (t) => {
+    fakeClock(t);
+    const governor = createGovernor({ ...quick, blockPauseMs: 600000 });
+    const page = fetchPage([{ status: 429, retryAfter: '30' }, { status: 200, body: { ok: true } }]);
+    const fetchJson = governor.fetcher(pageFetcher(page));
+
+    const body = await settle(t, fetchJson('https://searchfunder.com/api/users?page=1'));
+
+    assert.deepStrictEqual(body, { ok: true });
+    assert.strictEqual(page.fetched, 2);
+    assert.strictEqual(Date.now(), 30000, 'not the 10 minute default');
+    assert.strictEqual(governor.stats.blockPauses, 1);
+});
+
+test('a 429 with an HTTP date pauses until then, and one without Retry-After for blockPauseMs', async (t) => {
+    fakeClock(t);
+    const governor = createGovernor({ ...quick, blockPauseMs: 5000 });
+    const dated = fetchPage([{ status: 429, retryAfter: new Date(20000).toUTCString() }, { status: 200, body: {} }]);
+
+    await settle(t, governor.fetcher(pageFetcher(dated))('https://searchfunder.com/api/users?page=1'));
+    assert.strictEqual(Date.now(), 20000);
+
+    const bare = fetchPage([{ status: 429 }, { status: 200, body: {} }]);
+    await settle(t, governor.fetcher(pageFetcher(bare))('https://searchfunder.com/api/users?page=2'));
+    assert.strictEqual(Date.now(), 25000);
+});
+
+test('a rate limit pause holds back the shared pacer', async (t) => {
+    fakeClock(t);
+    const shared = createGovernor(quick).pacer(quick);
+    const governor = createGovernor({ ...quick, pacer: shared });
+    const page = fetchPage([{ status: 429, retryAfter: '45' }, { status: 200, body: {} }]);
+
+    await settle(t, governor.fetcher(pageFetcher(page))('https://searchfunder.com/api/users?page=1'));
+    const other = createGovernor({ ...quick, pacer: shared });
+    await settle(t, other.pace());
+
+    assert.strictEqual(Date.now(), 45000);
+});
+
+test('onBlock abort stops at the first rate limit, and pause stops after maxBlockPauses', async (t) => {
+    fakeClock(t);
+    const limited = [{ status: 429, retryAfter: '10' }];
+
+    const aborting = createGovernor({ ...quick, onBlock: 'abort' });
+    await assert.rejects(
+        aborting.fetcher(pageFetcher(fetchPage(limited)))('https://searchfunder.com/api/users?page=1'),
+        error => error instanceof BlockedError && error.kind === 'rate_limit'
+    );
+    assert.strictEqual(Date.now(), 0);
+
+    const pausing = createGovernor({ ...quick, maxBlockPauses: 2 });
+    const page = fetchPage(limited);
+    await assert.rejects(
+        settle(t, pausing.fetcher(pageFetcher(page))('https://searchfunder.com/api/users?page=1')),
+        error => error instanceof BlockedError && error.kind === 'rate_limit'
+    );
+    assert.strictEqual(page.fetched, 3);
+    assert.strictEqual(pausing.stats.blockPauses, 2);
+    assert.strictEqual(Date.now(), 20000);
+});
+
+test('a 401 ends the run as logged out and a 403 as blocked, without retries', async (t) => {
+    const governor = createGovernor({ ...quick, retries: 3 });
+
+    await assert.rejects(governor.fetcher(pageFetcher(fetchPage([{ status: 401 }])))('https://searchfunder.com/api/users'), LoggedOutError);
+    await assert.rejects(
+        governor.fetcher(pageFetcher(fetchPage([{ status: 403 }])))('https://searchfunder.com/api/users'),
+        error => error instanceof BlockedError && error.kind === 'blocked'
+    );
+    assert.strictEqual(governor.stats.retries, 0);
+});
+
+test('captcha, rate limit and access denied pages are told apart', async () => {
+    const captcha = await detectBlock(blockPage({ selectors: ['iframe[src*="recaptcha"]'] }));
+    assert.strictEqual(captcha.kind, 'captcha');
+    assert.strictEqual((await detectBlock(blockPage({ title: 'Just a moment', text: 'Verify you are human' }))).kind, 'captcha');
+    assert.strictEqual((await detectBlock(blockPage({ text: 'Too many requests. Try again later.' }))).kind, 'rate_limit');
+    assert.strictEqual((await detectBlock(blockPage({ text: 'Access denied' }))).kind, 'blocked');
+
+    // A long profile that happens to say "try again later" is not a block page
+    assert.strictEqual(await detectBlock(blockPage({ text: `Try again later, she says. ${'x'.repeat(4000)}` })), null);
+    assert.strictEqual(await detectBlock(blockPage({ text: 'Ana Ruiz, Searcher' })), null);
+});
+
+test('the status of the response is a sign too, and a rate limit page keeps its Retry-After', async () => {
+    const response = (status, headers = {}) => ({ status: () => status, url: () => 'https://searchfunder.com/directory', headers: () => headers });
+
+    assert.deepStrictEqual(await detectBlock(blockPage(), response(403)), { kind: 'blocked', reason: 'HTTP 403 for https://searchfunder.com/directory' });
+    assert.strictEqual((await detectBlock(blockPage(), response(429, { 'retry-after': '90' }))).retryAfterMs, 90000);
+    assert.strictEqual((await detectBlock(blockPage({ text: 'Rate limit exceeded' }), response(200, { 'retry-after': '15' }))).retryAfterMs, 15000);
+    assert.strictEqual(await detectBlock(blockPage(), response(200)), null);
+
+    // A page that cannot be read (navigated away) is no sign
+    const gone = { evaluate: async () => { throw new Error('Execution context was destroyed'); } };
+    assert.strictEqual(await detectBlock(gone), null);
+});
+
+test('a 429 to the page\'s own XHR is noted for the next check', async (t) => {
+    fakeClock(t);
+    const governor = createGovernor({ ...quick, blockPauseMs: 600000 });
+    const page = blockPage();
+    const stopWatching = governor.watch(page);
+
+    const throttled = (resourceType) => ({
+        url: () => 'https://searchfunder.com/api/users?page=3',
+        status: () => 429,
+        headers: () => ({ 'retry-after': '12' }),
+        request: () => ({ resourceType: () => resourceType })
+    });
+    page.emit('response', throttled('image'));
+    await governor.check(page);
+
+    page.emit('response', throttled('xhr'));
+    let checks = 0;
+    await settle(t, governor.retry('Scrolling', async () => {
+        checks++;
+        await governor.check(page);
+    }));
+
+    assert.strictEqual(checks, 2, 'checked again after the pause');
+    assert.strictEqual(Date.now(), 12000);
+
+    stopWatching();
+    page.emit('response', throttled('xhr'));
+    await governor.check(page);
+});
+
+test('navigate retries a server error and stops at a block page', async (t) => {
+    fakeClock(t);
+    const governor = createGovernor({ ...quick, backoffMs: 1000 });
+    const page = blockPage();
+    const statuses = [503, 200];
+    page.goto = async (url) => {
+        const status = statuses.shift();
+        return { status: () => status, url: () => url, headers: () => ({}) };
+    };
+
+    const response = await settle(t, governor.navigate(page, 'https://searchfunder.com/directory'));
+    assert.strictEqual(response.status(), 200);
+    assert.strictEqual(governor.stats.retries, 1);
+
+    const captcha = blockPage({ text: 'Are you a robot?' });
+    captcha.goto = async (url) => ({ status: () => 200, url: () => url, headers: () => ({}) });
+    await assert.rejects(governor.navigate(captcha, 'https://searchfunder.com/directory'), { type: 'blocked', kind: 'captcha' });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkFieldHealth, createFillRateTracker, healthBaselinePath } = require('../src/health');
+
+/**
+ * The field health check against the last healthy run: a sharp fall in a field's fill
+ * rate flags the run, and a baseline that cannot be read is no baseline.
+ */
+
+test.mock.method(console, 'log', () => {});
+
+const SELECTORS = { version: 2 };
+
+function setUp(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return { name: 'austin', outputDir: dir, health: { minProfiles: 10 } };
+}
+
+/**
+ * A run of `count` profiles, the first `withOccupation` of them with an occupation
+ */
+function run(count, withOccupation) {
+    const tracker = createFillRateTracker(['name', 'occupation']);
+    tracker.add(Array.from({ length: count }, (_, i) => ({ record: { name: `Person ${i}`, occupation: i < withOccupation ? 'Searcher' : '' } })));
+    return tracker;
+}
+
+test('a field that falls sharply against the last healthy run flags the run', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const query = setUp(t);
+
+    assert.strictEqual(checkFieldHealth(query, run(20, 19), SELECTORS).status, 'ok');
+    const health = checkFieldHealth(query, run(20, 2), SELECTORS);
+
+    assert.strictEqual(health.status, 'degraded');
+    assert.deepStrictEqual(health.problems, [{ field: 'occupation', rate: 0.1, expected: 0.95, reason: 'dropped against the last healthy run' }]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(healthBaselinePath(query), 'utf8')).fillRates.occupation, 0.95, 'the baseline is kept');
+});
+
+test('a corrupt baseline is warned about and replaced by a healthy run', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const query = setUp(t);
+    fs.writeFileSync(healthBaselinePath(query), '{"selectorVersion": 2, "fillRa');
+
+    const health = checkFieldHealth(query, run(20, 19), SELECTORS);
+
+    assert.strictEqual(health.status, 'ok');
+    assert.strictEqual(health.baseline, null);
+    assert.match(warn.mock.calls[0].arguments[0], /baseline .*austin_field_health\.json is unreadable/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(healthBaselinePath(query), 'utf8')).fillRates.occupation, 0.95);
+});
+
+test('a baseline without fill rates is no baseline either', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const query = setUp(t);
+    fs.writeFileSync(healthBaselinePath(query), JSON.stringify({ selectorVersion: 2 }));
+
+    assert.strictEqual(checkFieldHealth(query, run(20, 19), SELECTORS).status, 'ok');
+    assert.match(warn.mock.calls[0].arguments[0], /no fill rates/);
+});
+
+test('a run too small to judge, or a baseline of another selector version, does not count', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const query = setUp(t);
+
+    assert.strictEqual(checkFieldHealth(query, run(5, 0), SELECTORS).status, 'skipped');
+    checkFieldHealth(query, run(20, 20), { version: 1 });
+    assert.strictEqual(checkFieldHealth(query, run(20, 2), SELECTORS).status, 'ok');
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadJobFile, normalizeJob } = require('../src/jobs');
+const { DEFAULT_SELECTORS } = require('../src/selectors');
+const { UsageError } = require('../src/errors');
+
+/**
+ * Job files: queries get their URL, filters, sinks and files filled in, query settings
+ * win over the job's, and a job that cannot run is a usage error naming what is wrong.
+ */
+
+test.mock.method(console, 'warn', () => {});
+
+const URL_QUERY = { name: 'nyc', url: 'https://searchfunder.com/directory?roles_arr=searcher' };
+
+test('a query is filled in with the defaults', () => {
+    const job = normalizeJob({ queries: [URL_QUERY] });
+    const [query] = job.queries;
+
+    assert.strictEqual(job.outputDir, 'output');
+    assert.strictEqual(job.checkpointDir, 'checkpoints');
+    assert.strictEqual(job.concurrency, 1);
+    assert.deepStrictEqual(query.filters, { roles: ['searcher'], city: null, lat: null, lng: null, regions: [] });
+    assert.deepStrictEqual(query.sinks, ['csv']);
+    assert.strictEqual(query.mode, 'dom');
+    assert.strictEqual(query.enrich, false);
+    assert.strictEqual(query.sync, false);
+    assert.strictEqual(query.maxProfiles, null);
+    assert.strictEqual(query.webhook, null);
+    assert.strictEqual(query.selectors, DEFAULT_SELECTORS);
+    assert.strictEqual(query.checkpoint, path.join('checkpoints', 'nyc.checkpoint.json'));
+});
+
+test('filters become the directory URL, and query settings win over the job\'s', () => {
+    const job = normalizeJob({
+        outputDir: 'out',
+        sinks: ['jsonl'],
+        mode: 'network',
+        enrich: true,
+        rateLimit: { retries: 5, onBlock: 'abort' },
+        delays: { scrollMs: 1000, pauseMs: 2000 },
+        queries: [
+            { name: 'boston', filters: { roles: 'investor', city: 'Boston, MA, USA', lat: 42.36, lng: -71.05 }, sinks: ['xlsx'], enrich: false, rateLimit: { onBlock: 'pause' }, delays: { pauseMs: 500 } },
+            URL_QUERY
+        ]
+    }, 'jobs.yaml', { mode: 'dom', profileUrlTemplate: 'https://searchfunder.com/u/{id}' });
+    const [boston, nyc] = job.queries;
+
+    assert.strictEqual(boston.url, 'https://searchfunder.com/directory?roles_arr=investor&city=Boston,%20MA,%20USA&lat=42.36&lng=-71.05');
+    assert.deepStrictEqual(boston.sinks, ['xlsx']);
+    assert.strictEqual(boston.enrich, false);
+    assert.deepStrictEqual(boston.rateLimit, { retries: 5, onBlock: 'pause' });
+    assert.deepStrictEqual(boston.delays, { scrollMs: 1000, pauseMs: 500 });
+    assert.strictEqual(boston.outputDir, 'out');
+
+    assert.deepStrictEqual(nyc.sinks, ['jsonl']);
+    assert.strictEqual(nyc.enrich, true);
+    assert.strictEqual(nyc.mode, 'network', 'the job\'s mode, not the default');
+    assert.strictEqual(nyc.profileUrlTemplate, 'https://searchfunder.com/u/{id}');
+});
+
+test('a webhook gets its secret from the defaults and its files next to the output', () => {
+    const job = normalizeJob({
+        outputDir: 'out',
+        webhook: 'https://hooks.example.com/profiles',
+        queries: [URL_QUERY, { ...URL_QUERY, name: 'nyc-own', webhook: { url: 'http://localhost:8080/in', secret: 'own', ledger: 'ledger.json' } }]
+    }, 'job', { webhookSecret: 'from-env' });
+    const [inherited, own] = job.queries.map(query => query.webhook);
+
+    assert.deepStrictEqual(inherited, {
+        url: 'https://hooks.example.com/profiles',
+        query: 'nyc',
+        secret: 'from-env',
+        fieldMap: null,
+        ledger: path.join('out', 'nyc_webhook_delivered.json'),
+        deadLetter: path.join('out', 'nyc_webhook_dead_letter.jsonl')
+    });
+    assert.strictEqual(own.secret, 'own');
+    assert.strictEqual(own.ledger, 'ledger.json');
+});
+
+test('a job that cannot run is a usage error that names the problem', () => {
+    const rejects = (job, message) => assert.throws(() => normalizeJob(job, 'jobs.yaml'), error => error instanceof UsageError && message.test(error.message));
+
+    rejects({}, /jobs\.yaml must define a non-empty "queries" list/);
+    rejects({ queries: [] }, /non-empty "queries" list/);
+    rejects({ concurrency: 0, queries: [URL_QUERY] }, /"concurrency" must be a whole number of 1 or more \(got "0"\)/);
+    rejects({ concurrency: 'two', queries: [URL_QUERY] }, /"concurrency" must be a whole number/);
+    rejects({ queries: [{ url: URL_QUERY.url }] }, /Query #1 in jobs\.yaml is missing a "name"/);
+    rejects({ queries: [{ ...URL_QUERY, name: 'new york' }] }, /Query name "new york" may only contain/);
+    rejects({ queries: [URL_QUERY, URL_QUERY] }, /Duplicate query name "nyc"/);
+    rejects({ queries: [{ name: 'nyc' }] }, /Query "nyc" needs either a "url" or "filters"/);
+    rejects({ queries: [{ ...URL_QUERY, filters: { roles: ['searcher'] } }] }, /should give a "url" or "filters", not both/);
+    rejects({ queries: [{ name: 'nyc', url: 'https://example.com/directory' }] }, /Query "nyc": Not a SearchFunder directory URL/);
+    rejects({ queries: [{ name: 'nyc', filters: { lat: 95 } }] }, /Query "nyc": Invalid directory filters: lat must be/);
+    rejects({ queries: [{ ...URL_QUERY, sinks: ['parquet'] }] }, /Query "nyc": Unknown output sink "parquet"/);
+    rejects({ queries: [{ ...URL_QUERY, mode: 'api' }] }, /Query "nyc": unknown mode "api"/);
+    rejects({ rateLimit: { onBlock: 'ignore' }, queries: [URL_QUERY] }, /rateLimit\.onBlock must be one of pause, abort/);
+    rejects({ queries: [{ ...URL_QUERY, webhook: 'ftp://example.com' }] }, /webhook\.url "ftp:\/\/example\.com" is not valid/);
+});
+
+test('a city without coordinates is only a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    normalizeJob({ queries: [{ name: 'austin', filters: { city: 'Austin, TX, USA' } }] });
+    assert.match(warn.mock.calls[0].arguments[0], /^Query "austin": city "Austin, TX, USA" has no lat\/lng/);
+});
+
+test('job files are read as YAML or JSON, with the command line\'s settings over the file\'s', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const yamlFile = path.join(dir, 'jobs.yaml');
+    fs.writeFileSync(yamlFile, ['outputDir: from-file', 'concurrency: 2', 'queries:', '  - name: nyc', `    url: ${URL_QUERY.url}`].join('\n'));
+    const job = loadJobFile(yamlFile, { outputDir: 'from-cli' });
+    assert.strictEqual(job.outputDir, 'from-cli');
+    assert.strictEqual(job.concurrency, 2);
+    assert.strictEqual(job.queries[0].outputDir, 'from-cli');
+
+    const jsonFile = path.join(dir, 'jobs.json');
+    fs.writeFileSync(jsonFile, JSON.stringify({ queries: [URL_QUERY] }));
+    assert.strictEqual(loadJobFile(jsonFile).queries[0].url, URL_QUERY.url);
+
+    fs.writeFileSync(jsonFile, '{ "queries": [');
+    assert.throws(() => loadJobFile(jsonFile), error => error instanceof UsageError && /Could not parse job file/.test(error.message));
+    assert.throws(() => loadJobFile(path.join(dir, 'missing.yaml')), error => error instanceof UsageError && /Job file not found/.test(error.message));
+});
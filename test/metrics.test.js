@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildRunMetrics, appendRunHistory, RUN_HISTORY_FILE } = require('../src/metrics');
+
+/**
+ * Run metrics rolled up from a run summary: the run's status from its queries', totals,
+ * errors by type and fill rates weighted by the profiles each query read.
+ */
+
+const query = (name, overrides = {}) => ({
+    name,
+    status: 'completed',
+    profilesScraped: 100,
+    durationMs: 60000,
+    requests: { requests: 20, scrolls: 10, retries: 1 },
+    errorType: null,
+    ...overrides
+});
+
+const summary = (queries, overrides = {}) => ({
+    runId: 'run-1',
+    startedAt: '2026-03-01T12:00:00.000Z',
+    finishedAt: '2026-03-01T12:02:00.000Z',
+    durationMs: 120000,
+    concurrency: 1,
+    queries,
+    ...overrides
+});
+
+test('a run is completed, partial, failed or interrupted', () => {
+    const statusOf = (queries, overrides) => buildRunMetrics(summary(queries, overrides)).status;
+
+    assert.strictEqual(statusOf([query('a'), query('b')]), 'completed');
+    assert.strictEqual(statusOf([query('a'), query('b', { status: 'failed', errorType: 'selector' })]), 'partial');
+    assert.strictEqual(statusOf([query('a'), { name: 'b', url: 'https://searchfunder.com/directory', status: 'skipped' }]), 'partial');
+    assert.strictEqual(statusOf([query('a')], { errorType: 'auth' }), 'failed');
+    assert.strictEqual(statusOf([query('a', { status: 'interrupted' })], { interrupted: true, errorType: 'interrupted' }), 'interrupted');
+});
+
+test('totals, rates and errors by type are summed over the queries', () => {
+    const metrics = buildRunMetrics(summary([
+        query('a', { enrichmentFailures: 2 }),
+        query('b', { status: 'failed', errorType: 'blocked', profilesScraped: 20, requests: { requests: 5, scrolls: 2, retries: 4 } }),
+        { name: 'c', status: 'skipped' }
+    ]));
+
+    assert.deepStrictEqual(
+        [metrics.profiles, metrics.requests, metrics.scrolls, metrics.retries, metrics.profilesPerMinute],
+        [120, 25, 12, 5, 60]
+    );
+    assert.deepStrictEqual(metrics.errorsByType, { enrichment: 2, blocked: 1 });
+    assert.deepStrictEqual(metrics.queries[2], {
+        name: 'c',
+        status: 'skipped',
+        profiles: 0,
+        profilesPerMinute: 0,
+        scrolls: 0,
+        requests: 0,
+        retries: 0,
+        fillRates: {},
+        durationMs: 0,
+        errorType: null
+    });
+});
+
+test('fill rates are weighted by the profiles each query read', () => {
+    const metrics = buildRunMetrics(summary([
+        query('a', { profilesScraped: 300, health: { fillRates: { bio: 1, location: 0.5 } } }),
+        query('b', { profilesScraped: 100, health: { fillRates: { bio: 0, location: 1 } } }),
+        query('c', { profilesScraped: 0, health: { fillRates: { bio: 0 } } })
+    ]));
+
+    assert.deepStrictEqual(metrics.fillRates, { bio: 0.75, location: 0.625 });
+});
+
+test('every run adds a line to the run history', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const outputDir = path.join(dir, 'output');
+    appendRunHistory(summary([query('a')]), outputDir);
+    const filename = appendRunHistory(summary([query('a', { status: 'failed' })], { runId: 'run-2' }), outputDir);
+
+    assert.strictEqual(filename, path.join(outputDir, RUN_HISTORY_FILE));
+    const lines = fs.readFileSync(filename, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(line => [line.runId, line.status]), [['run-1', 'completed'], ['run-2', 'partial']]);
+});
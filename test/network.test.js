@@ -0,0 +1,267 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_SELECTORS } = require('../src/selectors');
+const { watchDirectoryApi, pageFetcher, endpointPages } = require('../src/directoryApi');
+const { readCheckpoint } = require('../src/checkpointStore');
+const { normalizeJob } = require('../src/jobs');
+const { createGovernor } = require('../src/governor');
+const { scrapeQuery } = require('../src/scraper');
+const { readRecords } = require('../src/sinks');
+const { PROFILE_URL_TEMPLATE, readRecordings, jsonResponse, startDirectoryStandIn, createFakePage } = require('./fakePage');
+
+/**
+ * Network mode against recorded directory responses, served by a local stand-in for the
+ * site (see fakePage.js): the endpoint watcher, paging the endpoint from inside the page and
+ * resuming from its page cursor, skipping heavy resources, and falling back to reading the
+ * cards when the endpoint goes away.
+ */
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'network');
+const recordings = readRecordings(FIXTURE_DIR);
+const expected = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'expected.json'), 'utf8'));
+const expectedIds = expected.map(record => record.profile_id);
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'debug', () => {});
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'network-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function networkQuery(dir, settings = {}) {
+    return normalizeJob({
+        outputDir: dir,
+        checkpointDir: dir,
+        queries: [{
+            name: 'replay',
+            url: 'https://searchfunder.com/directory?roles_arr=searcher',
+            output: path.join(dir, 'replay'),
+            sinks: ['jsonl'],
+            mode: 'network',
+            delays: { scrollMs: 0, pauseMs: 0, jitterMs: 0 },
+            ...settings
+        }]
+    }, 'test').queries[0];
+}
+
+/**
+ * A page on a stand-in site that is shut down after the test
+ */
+async function browse(t, options) {
+    const site = await startDirectoryStandIn(recordings, options);
+    t.after(() => site.close());
+    return createFakePage(site);
+}
+
+const governor = () => createGovernor({ intervalMs: 0, jitterMs: 0, retries: 0 });
+
+async function savedIds(query) {
+    return (await readRecords(`${query.output}.jsonl`)).map(record => String(record.profile_id));
+}
+
+test('endpointPages pages through the recordings until a page comes back empty', async (t) => {
+    const fetchJson = pageFetcher(await browse(t));
+    const endpoint = { url: recordings[0].url, pageParam: 'page', pageStep: 1 };
+
+    const pages = [];
+    for await (const { page: pageValue, records } of endpointPages(fetchJson, endpoint, 1, DEFAULT_SELECTORS, PROFILE_URL_TEMPLATE)) {
+        pages.push(pageValue);
+        records.forEach((record, index) => {
+            const want = expected.find(candidate => candidate.profile_id === record.profile_id);
+            Object.entries(want).forEach(([field, value]) => assert.strictEqual(record[field], value, `${record.profile_id} ${field} (${index})`));
+        });
+    }
+    assert.deepStrictEqual(pages, [1, 2]);
+});
+
+test('endpointPages stops when the endpoint keeps answering with the same page', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const endpoint = { url: recordings[0].url, pageParam: 'page', pageStep: 1 };
+    const fetched = [];
+    const fetchLastPage = async (url) => {
+        fetched.push(url);
+        return recordings[recordings.length - 1].body;
+    };
+
+    const pages = [];
+    for await (const { page: pageValue } of endpointPages(fetchLastPage, endpoint, 1, DEFAULT_SELECTORS, PROFILE_URL_TEMPLATE)) {
+        pages.push(pageValue);
+    }
+    assert.deepStrictEqual(pages, [1]);
+    assert.strictEqual(fetched.length, 2);
+});
+
+test('endpointPages stops at the page cap', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const endpoint = { url: recordings[0].url, pageParam: 'page', pageStep: 1 };
+    const fetchAny = async (url) => recordings[Number(new URL(url).searchParams.get('page')) % recordings.length].body;
+
+    const pages = [];
+    for await (const { page: pageValue } of endpointPages(fetchAny, endpoint, 1, DEFAULT_SELECTORS, PROFILE_URL_TEMPLATE, 1)) {
+        pages.push(pageValue);
+    }
+    assert.deepStrictEqual(pages, [1]);
+});
+
+test('watchDirectoryApi learns the endpoint and keeps a page cursor', async (t) => {
+    const page = await browse(t);
+    const recordDir = path.join(tempDir(t), 'recordings');
+    const watcher = watchDirectoryApi(page, DEFAULT_SELECTORS, PROFILE_URL_TEMPLATE, { capture: true, recordDir });
+
+    // Documents and responses from other hosts are not the directory endpoint
+    page.emit('response', jsonResponse(recordings[0].url, recordings[0].body, { resourceType: 'document' }));
+    page.emit('response', jsonResponse('https://example.com/api/directory?page=1', recordings[0].body));
+    await nextTick();
+    assert.strictEqual(watcher.endpoint, null);
+    assert.strictEqual(watcher.cursor(new Set()), null);
+
+    recordings.forEach(recording => page.emit('response', jsonResponse(recording.url, recording.body)));
+    await nextTick();
+
+    assert.strictEqual(new URL(watcher.endpoint.url).pathname, '/api/directory');
+    assert.strictEqual(watcher.endpoint.pageParam, 'page');
+    assert.deepStrictEqual(watcher.takePages().map(({ page: pageValue, records }) => [pageValue, records.length]), [[1, 2], [2, 1]]);
+    assert.deepStrictEqual(watcher.takePages(), []);
+
+    // The cursor is the first page with a profile not processed yet, or the page after the last
+    assert.strictEqual(watcher.cursor(new Set(['id:48213'])).page, 1);
+    assert.strictEqual(watcher.cursor(new Set(['id:48213', 'id:51877'])).page, 2);
+    assert.strictEqual(watcher.cursor(new Set(expectedIds.map(id => `id:${id}`))).page, 3);
+
+    assert.deepStrictEqual(fs.readdirSync(recordDir).sort(), ['api_directory_page-1.json', 'api_directory_page-2.json']);
+    watcher.stop();
+    assert.strictEqual(page.listenerCount('response'), 0);
+});
+
+test('network mode saves the loaded page, then pages the endpoint', async (t) => {
+    const query = networkQuery(tempDir(t));
+    const page = await browse(t);
+
+    const result = await scrapeQuery(page, query, {}, governor());
+
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.totalProfiles, 3);
+    assert.deepStrictEqual(await savedIds(query), expectedIds);
+    assert.strictEqual(page.directory.loaded, 1, 'nothing was scrolled');
+    assert.deepStrictEqual(page.directory.fetched.map(url => new URL(url).searchParams.get('page')), ['2', '3']);
+    assert.strictEqual(readCheckpoint(query.checkpoint), null, 'the checkpoint is cleared');
+});
+
+test('network mode skips pictures and fonts, and lets them through again afterwards', async (t) => {
+    const site = await startDirectoryStandIn(recordings);
+    t.after(() => site.close());
+    const page = createFakePage(site);
+
+    await scrapeQuery(page, networkQuery(tempDir(t)), {}, governor());
+
+    assert.ok(page.directory.aborted.some(url => url.includes('/avatars/')), 'pictures were aborted');
+    assert.ok(page.directory.aborted.some(url => url.includes('/fonts/')), 'fonts were aborted');
+    assert.deepStrictEqual(site.served.filter(served => /^\/(avatars|fonts)\//.test(served)), [], 'the site served none of them');
+    assert.strictEqual(page.interception, false);
+    assert.strictEqual(page.listenerCount('request'), 0);
+
+    // Read from the cards, the directory loads its pictures as usual
+    await scrapeQuery(page, networkQuery(tempDir(t), { mode: 'dom' }), {}, governor());
+    assert.ok(site.served.some(served => served.startsWith('/avatars/')));
+});
+
+test('a resumed run fetches the pages after its page cursor', async (t) => {
+    const dir = tempDir(t);
+    const limited = await scrapeQuery(await browse(t), networkQuery(dir, { maxProfiles: 2 }), {}, governor());
+    assert.strictEqual(limited.status, 'limited');
+
+    const query = networkQuery(dir);
+    const checkpoint = readCheckpoint(query.checkpoint);
+    assert.strictEqual(checkpoint.cursor.type, 'page');
+    assert.strictEqual(checkpoint.cursor.page, 2);
+    assert.strictEqual(checkpoint.lastProfileKey, 'id:51877');
+
+    const page = await browse(t);
+    const result = await scrapeQuery(page, query, {}, governor());
+
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.profilesScraped, 1);
+    assert.deepStrictEqual(await savedIds(query), expectedIds);
+    assert.deepStrictEqual(page.directory.fetched.map(url => new URL(url).searchParams.get('page')), ['2', '3']);
+});
+
+test('a resumed run scrolls back to its last profile when the endpoint has gone away', async (t) => {
+    const dir = tempDir(t);
+    await scrapeQuery(await browse(t), networkQuery(dir, { maxProfiles: 2 }), {}, governor());
+
+    const query = networkQuery(dir, { mode: 'dom' });
+    const page = await browse(t, { endpointAvailable: false });
+    const result = await scrapeQuery(page, query, {}, governor());
+
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.profilesScraped, 1);
+    assert.deepStrictEqual(await savedIds(query), expectedIds);
+    assert.strictEqual(page.directory.fetched.length, 1, 'the endpoint was tried once');
+    assert.strictEqual(page.directory.loaded, 2, 'the directory was scrolled instead');
+});
+
+test('a resumed run whose last profile has left the directory reads every card again', async (t) => {
+    const dir = tempDir(t);
+    await scrapeQuery(await browse(t), networkQuery(dir, { maxProfiles: 2 }), {}, governor());
+
+    const query = networkQuery(dir, { mode: 'dom' });
+    const checkpoint = JSON.parse(fs.readFileSync(query.checkpoint, 'utf8'));
+    fs.writeFileSync(query.checkpoint, JSON.stringify({ ...checkpoint, lastProfileKey: 'id:99999' }));
+
+    const warn = t.mock.method(console, 'warn', () => {});
+    const result = await scrapeQuery(await browse(t, { endpointAvailable: false }), query, {}, governor());
+
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(await savedIds(query), expectedIds);
+    assert.ok(warn.mock.calls.some(call => /last saved profile was not found/.test(call.arguments[0])));
+});
+
+test('a checkpoint saved at profile index 0 is resumed from there', async (t) => {
+    const dir = tempDir(t);
+    await scrapeQuery(await browse(t), networkQuery(dir, { maxProfiles: 2 }), {}, governor());
+
+    // Checkpoints from before profile keys only have the index
+    const query = networkQuery(dir, { mode: 'dom' });
+    const checkpoint = JSON.parse(fs.readFileSync(query.checkpoint, 'utf8'));
+    fs.writeFileSync(query.checkpoint, JSON.stringify({ ...checkpoint, lastProfileIndex: 0, lastProfileKey: null }));
+
+    const log = t.mock.method(console, 'log', () => {});
+    const result = await scrapeQuery(await browse(t, { endpointAvailable: false }), query, {}, governor());
+
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(await savedIds(query), expectedIds);
+    assert.ok(log.mock.calls.some(call => call.arguments[0] === 'Scrolling back past profile index 0...'));
+});
+
+test('a checkpoint from before profile IDs skips the profiles it saved', async (t) => {
+    const dir = tempDir(t);
+    const query = networkQuery(dir, { mode: 'dom' });
+
+    // Those checkpoints kept the card text of every saved profile
+    const legacyIds = expected.slice(0, 2).map(record => `${record.name}|${record.occupation}|${record.linkedIn_url || ''}`.replace(/\s+/g, ''));
+    fs.writeFileSync(query.checkpoint, JSON.stringify({ lastProfileIndex: 1, csvFilename: `${query.output}.csv`, processedProfileIds: legacyIds }));
+
+    const result = await scrapeQuery(await browse(t, { endpointAvailable: false }), query, {}, governor());
+
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.profilesScraped, 1);
+    assert.deepStrictEqual(await savedIds(query), expectedIds.slice(2));
+});
+
+test('network mode reads the cards when paging the endpoint fails', async (t) => {
+    const query = networkQuery(tempDir(t));
+    const page = await browse(t, { endpointAvailable: false });
+
+    const result = await scrapeQuery(page, query, {}, governor());
+
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(await savedIds(query), expectedIds);
+    assert.strictEqual(page.directory.loaded, 2);
+});
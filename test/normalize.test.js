@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { roleCategory, parseLocation, normalizeRecord } = require('../src/normalize');
+
+// Occupations as they appear in the directory, with the category each one should get
+const OCCUPATIONS = [
+    ['Self-Funded Searcher', 'self_funded_searcher'],
+    ['Self funded search fund', 'self_funded_searcher'],
+    ['Solo Searcher', 'solo_searcher'],
+    ['Partnered Searcher', 'partnered_searcher'],
+    ['Co-Searcher at Hatch Holdings', 'partnered_searcher'],
+    ['Traditional Searcher', 'traditional_searcher'],
+    ['Launching a Search Fund', 'searcher'],
+    ['Exploring Launching a Search Fund', 'searcher'],
+    ['Raising a search-fund', 'searcher'],
+    ['Searcher', 'searcher'],
+    ['ETA Fellow', 'searcher'],
+    ['Search Fund Investor', 'investor'],
+    ['Investor', 'investor'],
+    ['Limited Partner', 'investor'],
+    ['LP in search funds', 'investor'],
+    ['Family Office', 'investor'],
+    ['Partner at a growth fund', 'investor'],
+    ['Vice President, Private Equity', 'investor'],
+    ['Independent Sponsor', 'investor'],
+    ['CEO at Acme Plumbing', 'operator'],
+    ['Owner & Operator', 'operator'],
+    ['Acquired Bright Dental in 2023', 'operator'],
+    ['M&A Attorney', 'advisor'],
+    ['SBA Lender', 'advisor'],
+    ['Business Broker', 'advisor'],
+    ['Investment Banking Analyst at Citi', 'advisor'],
+    ['Partner at Boston Consulting Group (BCG)', 'advisor'],
+    ['MBA Candidate', 'student'],
+    ['Student at Columbia Business School', 'student'],
+    ['Google', 'other'],
+    ['', null],
+    [null, null]
+];
+
+OCCUPATIONS.forEach(([occupation, category]) => {
+    test(`"${occupation}" is ${category}`, () => {
+        assert.strictEqual(roleCategory(occupation), category);
+    });
+});
+
+test('parseLocation reads city, state, ZIP and country', () => {
+    assert.deepStrictEqual(parseLocation('Livingston, NJ 07039, USA'), { city: 'Livingston', state: 'NJ', zip: '07039', country: 'United States' });
+    assert.deepStrictEqual(parseLocation('Toronto, ON, Canada'), { city: 'Toronto', state: 'ON', zip: null, country: 'Canada' });
+});
+
+test('normalizeRecord adds the role category and is idempotent', () => {
+    const record = normalizeRecord({ name: ' Jane  Doe ', occupation: 'Launching a Search Fund', location: 'New York, NY, USA', uni_name: 'HBS; HBS; Yale' });
+    assert.strictEqual(record.role_category, 'searcher');
+    assert.strictEqual(record.name, 'Jane Doe');
+    assert.deepStrictEqual(record.universities, ['HBS', 'Yale']);
+    assert.deepStrictEqual(normalizeRecord(record), record);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { locate, findMetro } = require('../src/metros');
+const { loadDatasets, buildReport, renderReport } = require('../src/report');
+
+const RECORDS = [
+    { profile_id: '1', name: 'Manhattan', occupation: 'Solo Searcher', location: 'New York, NY, USA' },
+    { profile_id: '2', name: 'By ZIP', occupation: 'Solo Searcher', location: 'Livingston, NJ 07039, USA' },
+    { profile_id: '3', name: 'By city', occupation: 'Solo Searcher', location: 'Edison, NJ, USA' },
+    { profile_id: '4', name: 'County', occupation: 'Solo Searcher', location: 'Westchester County, NY, USA' },
+    { profile_id: '5', name: 'Far away', occupation: 'Solo Searcher', location: 'Boston, MA, USA' },
+    { profile_id: '6', name: 'Investor', occupation: 'Investor', location: 'Fairfield County, CT, USA' }
+];
+
+function writeDataset(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'profiles.jsonl');
+    fs.writeFileSync(file, RECORDS.map(record => JSON.stringify(record)).join('\n') + '\n');
+    return file;
+}
+
+const nearNewYork = (settings = {}) => ({ ...findMetro('New York'), radiusMiles: 50, label: 'New York', ...settings });
+
+test('locate places a profile by ZIP, then city, then metro', () => {
+    assert.strictEqual(locate({ city: 'Livingston', state: 'NJ', zip: '07039' }).source, 'zip');
+    assert.strictEqual(locate({ city: 'Edison', state: 'NJ', zip: null }).source, 'city');
+    assert.strictEqual(locate({ city: 'Short Hills, Millburn', state: 'NJ', zip: null }).source, 'city');
+    assert.strictEqual(locate({ city: 'New York City', state: 'NY', zip: null }).source, 'metro');
+    assert.strictEqual(locate({ city: 'Westchester County', state: 'NY', zip: null }), null);
+    assert.strictEqual(locate({ city: null, state: 'NJ', zip: null }), null);
+});
+
+test('a near filter keeps located profiles in range and counts the rest', async (t) => {
+    const report = await buildReport({ datasets: [writeDataset(t)], filters: { near: nearNewYork() } });
+
+    assert.strictEqual(report.matched, 3);
+    assert.strictEqual(report.unlocated, 2);
+    assert.match(renderReport(report), /2 profiles could not be located and were left out/);
+});
+
+test('includeUnlocated keeps the profiles that cannot be placed', async (t) => {
+    const report = await buildReport({ datasets: [writeDataset(t)], filters: { near: nearNewYork({ includeUnlocated: true }) } });
+
+    assert.strictEqual(report.matched, 5);
+    assert.strictEqual(report.unlocated, 2);
+});
+
+test('unlocated counts only profiles passing the other filters', async (t) => {
+    const report = await buildReport({ datasets: [writeDataset(t)], filters: { occupations: ['solo_searcher'], near: nearNewYork() } });
+
+    assert.strictEqual(report.matched, 3);
+    assert.strictEqual(report.unlocated, 1);
+});
+
+test('a profile without an ID that edits its headline is merged, not counted twice', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const older = path.join(dir, 'older.jsonl');
+    const newer = path.join(dir, 'newer.jsonl');
+    fs.writeFileSync(older, JSON.stringify({ name: 'Sam Lee', occupation: 'Searcher', linkedIn_url: 'https://www.linkedin.com/in/samlee' }) + '\n');
+    fs.writeFileSync(newer, JSON.stringify({ name: 'Sam Lee', occupation: 'CEO at Acme', linkedIn_url: 'https://www.linkedin.com/in/samlee' }) + '\n');
+
+    const records = await loadDatasets([older, newer]);
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].occupation, 'CEO at Acme');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { loadSelectorMap, extractCards, profileKey } = require('../src/selectors');
+
+/**
+ * Runs the selector map over saved directory pages (<name>.html) and compares every card
+ * with the records it should give (<name>.expected.json). The pages are loaded into jsdom,
+ * so no browser is needed. Set SELECTORS_FILE to check your own selectors file instead.
+ */
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'directory');
+
+// Fixtures are loaded at this address so relative links resolve as on the site
+const FIXTURE_URL = 'https://searchfunder.com/directory';
+const FIXTURE_PROFILE_URL_TEMPLATE = 'https://searchfunder.com/profile/{id}';
+
+/**
+ * Runs extractCards inside the page, the way page.evaluate does: as source text, with
+ * JSON arguments
+ */
+function extractFixture(html, selectors, fromIndex = 0) {
+    const dom = new JSDOM(html, { url: FIXTURE_URL, runScripts: 'outside-only' });
+    const args = [selectors, fromIndex, FIXTURE_PROFILE_URL_TEMPLATE].map(arg => JSON.stringify(arg)).join(', ');
+    const cards = dom.window.eval(`JSON.stringify((${extractCards})(${args}))`);
+    dom.window.close();
+    return JSON.parse(cards);
+}
+
+const selectors = loadSelectorMap(process.env.SELECTORS_FILE);
+const fixtures = fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.html')).sort();
+
+fixtures.forEach(fixture => {
+    test(`extracts the cards of ${fixture}`, () => {
+        const html = fs.readFileSync(path.join(FIXTURE_DIR, fixture), 'utf8');
+        const expected = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, fixture.replace(/\.html$/, '.expected.json')), 'utf8'));
+        const cards = extractFixture(html, selectors);
+
+        assert.strictEqual(cards.length, expected.length, 'number of cards');
+        expected.forEach((record, index) => {
+            const actual = cards[index].record || {};
+            Object.entries(record).forEach(([field, value]) => {
+                assert.strictEqual(actual[field] || null, value, `card ${index} ${field}`);
+            });
+        });
+    });
+});
+
+test('starts at fromIndex and keeps the card positions', () => {
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, fixtures[0]), 'utf8');
+    const all = extractFixture(html, selectors);
+    const rest = extractFixture(html, selectors, 1);
+
+    assert.strictEqual(rest.length, all.length - 1);
+    assert.deepStrictEqual(rest.map(card => card.index), all.slice(1).map(card => card.index));
+});
+
+test('a page without cards gives no records', () => {
+    assert.deepStrictEqual(extractFixture('<html><body><div id="other"></div></body></html>', selectors), []);
+});
+
+test('profileKey prefers the profile ID over the card text', () => {
+    assert.strictEqual(profileKey({ profile_id: '42', name: 'Jane Doe' }), 'id:42');
+    assert.strictEqual(profileKey({ name: 'Jane Doe', occupation: 'Searcher' }), 'card:JaneDoe|Searcher|');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createSink, readRecords } = require('../src/sinks');
+
+test.mock.method(console, 'log', () => {});
+
+function tempFile(t, name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinks-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+}
+
+async function writeBatches(filename, batches, type = 'sqlite') {
+    const sink = createSink(type, filename);
+    await sink.open();
+    for (const batch of batches) {
+        await sink.write(batch);
+    }
+    await sink.close();
+}
+
+test('sqlite upserts profiles with and without a profile ID', async (t) => {
+    const filename = tempFile(t, 'profiles.sqlite');
+
+    await writeBatches(filename, [
+        [{ profile_id: null, name: 'N' }, { profile_id: '7', name: 'Jane', occupation: 'Searcher' }],
+        [{ profile_id: null, name: 'N' }, { profile_id: '7', name: 'Jane', occupation: 'Investor' }]
+    ]);
+    // A resumed run opens the same file again
+    await writeBatches(filename, [[{ profile_id: null, name: 'N' }]]);
+
+    const records = await readRecords(filename);
+    assert.deepStrictEqual(records.map(record => [record.profile_id, record.name, record.occupation]), [
+        [null, 'N', null],
+        ['7', 'Jane', 'Investor']
+    ]);
+    assert.ok(records.every(record => !('profile_key' in record)), 'the key column is not part of the records');
+});
+
+test('sqlite keys the rows of an older database and drops their duplicates', async (t) => {
+    const filename = tempFile(t, 'older.sqlite');
+    const db = new Database(filename);
+    db.exec(`CREATE TABLE profiles (
+        row_id INTEGER PRIMARY KEY AUTOINCREMENT,
+        profile_id TEXT UNIQUE,
+        name TEXT,
+        occupation TEXT,
+        updated_at TEXT NOT NULL
+    )`);
+    const insert = db.prepare('INSERT INTO profiles (profile_id, name, occupation, updated_at) VALUES (?, ?, ?, ?)');
+    insert.run(null, 'N', 'Searcher', '2026-01-01');
+    insert.run(null, 'N', 'Searcher', '2026-02-01');
+    insert.run('7', 'Jane', 'Searcher', '2026-02-01');
+    db.close();
+
+    await writeBatches(filename, [[{ profile_id: null, name: 'N', occupation: 'Searcher' }, { profile_id: '7', name: 'Jane', occupation: 'Investor' }]]);
+
+    const records = await readRecords(filename);
+    assert.deepStrictEqual(records.map(record => [record.profile_id, record.name, record.occupation]), [
+        [null, 'N', 'Searcher'],
+        ['7', 'Jane', 'Investor']
+    ]);
+});
+
+['csv', 'jsonl', 'xlsx'].forEach(type => {
+    test(`${type} does not write a profile the file already holds`, async (t) => {
+        const filename = tempFile(t, `profiles.${type}`);
+        const batch = [{ profile_id: '7', name: 'Jane' }, { profile_id: null, name: 'N', occupation: 'Searcher' }];
+
+        // The batch was written, then the run crashed before its checkpoint; the resumed run writes it again
+        await writeBatches(filename, [batch], type);
+        await writeBatches(filename, [[...batch, { profile_id: '8', name: 'Sam' }]], type);
+
+        const records = await readRecords(filename);
+        assert.deepStrictEqual(records.map(record => record.name), ['Jane', 'N', 'Sam']);
+    });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { syncDataset, syncKey, historyPath } = require('../src/sync');
+
+/**
+ * Runs of a query synced one after another: the first records a baseline, later ones
+ * find the profiles added, removed and changed since, and the history table keeps when
+ * every profile was first and last seen.
+ */
+
+test.mock.method(console, 'log', () => {});
+
+const ANA = { profile_id: '1', name: 'Ana Ruiz', occupation: 'Searcher', location: 'Austin, TX' };
+const BEN = { profile_id: '2', name: 'Ben Okafor', occupation: 'Searcher', location: 'Boston, MA' };
+const CLEO = { profile_id: '3', name: 'Cleo Park', occupation: 'Investor', location: 'Denver, CO' };
+
+function setUp(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    let runs = 0;
+    const query = { name: 'austin', url: 'https://searchfunder.com/directory', outputDir: dir };
+    // Syncs a run's dataset on the given day
+    const run = async (records, day) => {
+        const dataset = path.join(dir, `run-${++runs}.jsonl`);
+        fs.writeFileSync(dataset, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+        const result = await syncDataset(query, dataset, { now: new Date(`2026-03-0${day}T12:00:00.000Z`) });
+        return { ...result, diff: JSON.parse(fs.readFileSync(result.diffFile, 'utf8')) };
+    };
+    const history = () => new Map(parse(fs.readFileSync(historyPath(query), 'utf8'), { columns: true }).map(row => [row.profile_key, row]));
+    return { query, run, history };
+}
+
+test('the first run is the baseline', async (t) => {
+    const { run, history } = setUp(t);
+
+    const first = await run([ANA, BEN], 1);
+    assert.strictEqual(first.diff.baseline, true);
+    assert.deepStrictEqual([first.added, first.removed, first.changed], [2, 0, 0]);
+    assert.strictEqual(history().get('id:1').first_seen, '2026-03-01T12:00:00.000Z');
+});
+
+test('later runs find the profiles added, removed and changed', async (t) => {
+    const { run, history } = setUp(t);
+    await run([ANA, BEN], 1);
+
+    const second = await run([{ ...ANA, occupation: 'CEO', location: 'Dallas, TX' }, CLEO], 2);
+    assert.strictEqual(second.diff.baseline, false);
+    assert.deepStrictEqual(second.diff.added.map(entry => [entry.profile_key, entry.rejoined]), [['id:3', false]]);
+    assert.deepStrictEqual(second.diff.removed, [{ profile_key: 'id:2', name: 'Ben Okafor', last_seen: '2026-03-01T12:00:00.000Z' }]);
+    assert.deepStrictEqual(second.diff.changed, [{
+        profile_key: 'id:1',
+        name: 'Ana Ruiz',
+        changes: {
+            occupation: { from: 'Searcher', to: 'CEO' },
+            location: { from: 'Austin, TX', to: 'Dallas, TX' }
+        }
+    }]);
+
+    const rows = history();
+    assert.deepStrictEqual([rows.get('id:1').first_seen, rows.get('id:1').last_seen], ['2026-03-01T12:00:00.000Z', '2026-03-02T12:00:00.000Z']);
+    assert.strictEqual(rows.get('id:1').occupation, 'CEO');
+    assert.strictEqual(rows.get('id:2').removed_at, '2026-03-02T12:00:00.000Z');
+    assert.strictEqual(rows.get('id:2').last_seen, '2026-03-01T12:00:00.000Z');
+});
+
+test('an unchanged run is no change, and a returning profile rejoins with its first-seen time', async (t) => {
+    const { run, history } = setUp(t);
+    await run([ANA, BEN], 1);
+    await run([ANA], 2);
+
+    const third = await run([ANA], 3);
+    assert.deepStrictEqual([third.added, third.removed, third.changed], [0, 0, 0]);
+
+    const fourth = await run([ANA, BEN], 4);
+    assert.deepStrictEqual(fourth.diff.added.map(entry => [entry.profile_key, entry.rejoined]), [['id:2', true]]);
+    const { first_seen: firstSeen, last_seen: lastSeen, removed_at: removedAt } = history().get('id:2');
+    assert.deepStrictEqual([firstSeen, lastSeen, removedAt], ['2026-03-01T12:00:00.000Z', '2026-03-04T12:00:00.000Z', '']);
+});
+
+test('profiles without an ID are known by LinkedIn URL or name, and failed cards are left out', async (t) => {
+    assert.strictEqual(syncKey({ linkedIn_url: 'https://LinkedIn.com/in/ana/', name: 'Ana' }), 'linkedin:https://linkedin.com/in/ana');
+    assert.strictEqual(syncKey({ name: '  Ana   Ruiz ' }), 'name:ana ruiz');
+
+    const { run, history } = setUp(t);
+    const first = await run([{ name: 'Dee Lin', occupation: 'Searcher' }, { name: 'Error_Profile_4' }], 1);
+    assert.strictEqual(first.added, 1);
+
+    const second = await run([{ name: 'Dee  Lin', occupation: 'Operator' }], 2);
+    assert.deepStrictEqual([second.added, second.removed, second.changed], [0, 0, 1]);
+    assert.deepStrictEqual([...history().keys()], ['name:dee lin']);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPagePool, runWorkers } = require('../src/workerPool');
+
+/**
+ * The run's pages and workers: no more pages or items at once than the concurrency allows,
+ * pages handed on as they are released, and a failing item stops the rest from starting.
+ */
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * A browser whose pages are numbered in the order they are opened
+ */
+function fakeBrowser({ failFirst = false } = {}) {
+    const browser = { opened: 0 };
+    browser.newPage = async () => {
+        if (failFirst && browser.opened === 0) {
+            failFirst = false;
+            throw new Error('Target closed');
+        }
+        return { id: ++browser.opened };
+    };
+    return browser;
+}
+
+test('runWorkers keeps to the concurrency and works through every item', async () => {
+    let running = 0;
+    let most = 0;
+    const done = [];
+
+    await runWorkers([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+        running++;
+        most = Math.max(most, running);
+        for (let i = 0; i < item % 3 + 1; i++) await tick();
+        done.push(item);
+        running--;
+    });
+
+    assert.strictEqual(most, 3);
+    assert.deepStrictEqual(done.sort(), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('runWorkers starts nothing new once shouldStop says so', async () => {
+    const started = [];
+    await runWorkers([1, 2, 3, 4], 2, async (item) => { started.push(item); }, () => started.length >= 2);
+
+    assert.deepStrictEqual(started, [1, 2]);
+    await runWorkers([], 4, async () => assert.fail('no items, no work'));
+});
+
+test('a failing item is thrown once the items already started have finished, and no other starts', async () => {
+    const started = [];
+    const finished = [];
+
+    await assert.rejects(runWorkers(['slow', 'failing', 'next', 'last'], 2, async (item) => {
+        started.push(item);
+        if (item === 'failing') throw new Error('query failed');
+        for (let i = 0; i < 5; i++) await tick();
+        finished.push(item);
+    }), /query failed/);
+
+    assert.deepStrictEqual(started, ['slow', 'failing']);
+    assert.deepStrictEqual(finished, ['slow'], 'the running item was waited for');
+});
+
+test('the page pool opens up to its size, then hands released pages to whoever waits', async () => {
+    const browser = fakeBrowser();
+    const setUp = [];
+    const pool = createPagePool(browser, 2, async (page) => { setUp.push(page.id); });
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    let third = null;
+    pool.acquire().then(page => { third = page; });
+    await tick();
+
+    assert.strictEqual(third, null, 'waits while every page is in use');
+    assert.strictEqual(browser.opened, 2);
+    assert.deepStrictEqual(setUp, [1, 2]);
+
+    pool.release(second);
+    await tick();
+    assert.strictEqual(third, second);
+
+    pool.release(first);
+    assert.strictEqual(await pool.acquire(), first, 'an idle page is reused, not opened anew');
+    assert.strictEqual(browser.opened, 2);
+});
+
+test('borrowIdle lends free and unopened pages without waiting', async () => {
+    const browser = fakeBrowser();
+    const pool = createPagePool(browser, 3);
+
+    await pool.acquire();
+    const helpers = await pool.borrowIdle(pool.size - 1);
+    assert.deepStrictEqual(helpers.map(page => page.id), [2, 3]);
+    assert.deepStrictEqual(await pool.borrowIdle(), [], 'every page is out');
+
+    helpers.forEach(page => pool.release(page));
+    assert.deepStrictEqual((await pool.borrowIdle(1)).map(page => page.id), [2]);
+});
+
+test('a page that fails to open does not use up a place in the pool', async () => {
+    const browser = fakeBrowser({ failFirst: true });
+    const pool = createPagePool(browser, 1);
+
+    await assert.rejects(pool.acquire(), /Target closed/);
+    assert.strictEqual((await pool.acquire()).id, 1);
+});